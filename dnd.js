@@ -0,0 +1,540 @@
+/**
+ * Drag and drop built on pointer events, for all the pointer types (HTML5 drag and drop doesn't work with touch
+ * screens).
+ *
+ * draggable(element, options) lets the user drag an element: the drag starts when a pointer which went down in
+ * the element moves beyond a threshold. The element then captures the pointer and an avatar (a copy of the
+ * element by default) follows the pointer. On each move, the element under the pointer is hit-tested (the avatar
+ * is hidden meanwhile) and its nearest drop target (see dropTarget(element, options)) which accepts the drag
+ * receives the events:
+ * - "dndenter" when the pointer enters the drop target and "dndleave" when it leaves it,
+ * - "dndover" on each move over the drop target,
+ * - "dnddrop" when the pointer goes up over the drop target.
+ * The dragged element receives "dndstart" (call preventDefault() to prevent the drag) and "dndend" at the end of
+ * the drag. The events bubble; their detail is {source, data, dropTarget, pointerId, pointerType, clientX,
+ * clientY}, and the detail of dndend also has dropped and canceled.
+ *
+ * Scroll containers under the pointer (and the viewport) scroll when the pointer is close to their edges. A
+ * pointercancel cancels the drag: the drop target receives dndleave and the dragged element receives dndend with
+ * detail.canceled set to true.
+ *
+ * While a pointer is down in a draggable element, text selection and the native drag of images and links are
+ * prevented.
+ *
+ * Touch pointers: the dragged element must have a touch-action which prevents the user agent from panning
+ * (touch-action="none"), otherwise a pan cancels the pointer.
+ *
+ * Example:
+ *
+ *	dnd.draggable(item, {data: item.id});
+ *	dnd.dropTarget(basket, {accept: function (detail) { return detail.data !== "stone"; }});
+ *	basket.addEventListener("dnddrop", function (e) { basket.appendChild(e.detail.source); });
+ */
+define([
+	"./events",
+	"./handlers/utils"
+], function (pointerEvents, utils) {
+	"use strict";
+
+	var dropTargets = new utils.ElementMap(), // DropTarget of each drop target element
+		trackedEvents = [utils.events.MOVE, utils.events.UP, utils.events.CANCEL],
+		preventedEvents = ["selectstart", "dragstart"]; // default actions prevented while a pointer is tracked
+
+	var defaultDraggableOptions = {
+		threshold: 5, // distance in px a pointer must move to start a drag
+		avatar: true, // true: copy of the element, false: no avatar, function (element): returns the avatar
+		data: null, // data of the drag, in the detail of the events
+		autoScrollMargin: 40, // size in px of the edges of scroll containers where the pointer scrolls
+		autoScrollSpeed: 20 // maximum auto-scroll in px per animation frame
+	};
+
+	var defaultDropTargetOptions = {
+		accept: null // function (detail) which returns true when the drop target accepts a drag (default: all)
+	};
+
+	/**
+	 * Lets the user drag an element.
+	 *
+	 * @param element DOM element
+	 * @param options options (see defaultDraggableOptions)
+	 */
+	var Draggable = function (element, options) {
+		this.element = element;
+		this.options = utils.mixin({}, defaultDraggableOptions, options);
+		this.pointer = null; // {pointerId, startX, startY} of the pointer which went down in the element
+		this.drag = null; // drag in progress
+		this.down = this.down.bind(this);
+		this.handleEvent = this.handleEvent.bind(this);
+		utils.addEventListener(element, utils.events.DOWN, this.down, false);
+	};
+
+	Draggable.prototype = {
+		/**
+		 * pointerdown handler: start tracking the pointer.
+		 *
+		 * @param e pointer event
+		 */
+		down: function (e) {
+			if (this.pointer || (e.pointerType === "mouse" && e.button !== 0)) {
+				return;
+			}
+			this.pointer = {pointerId: e.pointerId, startX: e.clientX, startY: e.clientY};
+			this.listenDocument(true);
+			if (e.pointerType === "mouse") {
+				// prevent text selection and native drag (with touch pointers, it would also prevent the click)
+				e.preventDefault();
+			}
+		},
+
+		/**
+		 * pointermove, pointerup, pointercancel, selectstart and dragstart handler (document).
+		 *
+		 * @param e event
+		 */
+		handleEvent: function (e) {
+			var pointer = this.pointer;
+			if (preventedEvents.indexOf(e.type) !== -1) {
+				e.preventDefault();
+				return;
+			}
+			if (!pointer || e.pointerId !== pointer.pointerId) {
+				return;
+			}
+			if (e.type === utils.events.MOVE) {
+				if (this.drag) {
+					this.drag.move(e.clientX, e.clientY);
+				} else if (utils.distance(pointer.startX, pointer.startY, e.clientX, e.clientY) >
+					this.options.threshold) {
+					this.start(e);
+				}
+				return;
+			}
+			var drag = this.drag;
+			this.stop();
+			if (drag && e.type === utils.events.UP) {
+				drag.drop();
+			} else if (drag) {
+				drag.cancel();
+			}
+		},
+
+		/**
+		 * Start a drag, unless a dndstart listener prevents it.
+		 *
+		 * @param e pointermove event
+		 */
+		start: function (e) {
+			var drag = new Drag(this.element, this.options, e, this.pointer);
+			if (drag.start()) {
+				this.drag = drag;
+			} else {
+				this.stop();
+			}
+		},
+
+		/**
+		 * Stop tracking the pointer.
+		 */
+		stop: function () {
+			this.pointer = this.drag = null;
+			this.listenDocument(false);
+		},
+
+		/**
+		 * @param listen true to start listening to pointer events on the document, false to stop.
+		 */
+		listenDocument: function (listen) {
+			var doc = this.element.ownerDocument,
+				method = listen ? utils.addEventListener : utils.removeEventListener;
+			trackedEvents.concat(preventedEvents).forEach(function (type) {
+				method(doc, type, this.handleEvent, true);
+			}, this);
+		},
+
+		/**
+		 * Stop listening to pointer events, cancel the drag in progress.
+		 */
+		destroy: function () {
+			var drag = this.drag;
+			utils.removeEventListener(this.element, utils.events.DOWN, this.down, false);
+			if (this.pointer) {
+				this.stop();
+			}
+			if (drag) {
+				drag.cancel();
+				drag.releaseCapture();
+			}
+		}
+	};
+
+	/**
+	 * A drag in progress.
+	 *
+	 * @param source dragged element
+	 * @param options options of the draggable
+	 * @param e pointermove event which starts the drag
+	 * @param pointer {startX, startY} of the pointer
+	 */
+	var Drag = function (source, options, e, pointer) {
+		var rect = source.getBoundingClientRect();
+		this.source = source;
+		this.options = options;
+		this.pointerId = e.pointerId;
+		this.pointerType = e.pointerType;
+		this.clientX = e.clientX;
+		this.clientY = e.clientY;
+		// position of the pointer in the dragged element when it went down, kept in the avatar
+		this.offsetX = pointer.startX - rect.left;
+		this.offsetY = pointer.startY - rect.top;
+		this.avatar = null;
+		this.hitElement = null; // element under the pointer
+		this.dropTarget = null; // drop target element under the pointer
+		this.scrollRequest = null;
+		this.autoScroll = this.autoScroll.bind(this);
+	};
+
+	Drag.prototype = {
+		/**
+		 * Fire dndstart, then capture the pointer and show the avatar.
+		 *
+		 * @returns Boolean false if a dndstart listener prevented the drag.
+		 */
+		start: function () {
+			if (!fire(this.source, "dndstart", this.detail())) {
+				return false;
+			}
+			try {
+				pointerEvents.setPointerCapture(this.source, this.pointerId);
+			} catch (error) {
+				// the pointer is not active (synthetic pointer events)
+			}
+			this.avatar = createAvatar(this.source, this.options.avatar);
+			this.update();
+			return true;
+		},
+
+		/**
+		 * @param clientX position of the pointer
+		 * @param clientY position of the pointer
+		 */
+		move: function (clientX, clientY) {
+			this.clientX = clientX;
+			this.clientY = clientY;
+			this.update();
+		},
+
+		/**
+		 * Move the avatar, hit-test the drop targets under the pointer and auto-scroll.
+		 */
+		update: function () {
+			if (this.avatar) {
+				this.avatar.style.left = (this.clientX - this.offsetX) + "px";
+				this.avatar.style.top = (this.clientY - this.offsetY) + "px";
+			}
+			this.hitTest();
+			this.setDropTarget(findDropTarget(this.hitElement, this.detail()));
+			if (this.dropTarget) {
+				fire(this.dropTarget, "dndover", this.detail());
+			}
+			if (this.scrollRequest === null) {
+				this.scrollRequest = utils.requestAnimationFrame(this.autoScroll);
+			}
+		},
+
+		/**
+		 * Find the element under the pointer, below the avatar.
+		 */
+		hitTest: function () {
+			var avatar = this.avatar, display = avatar && avatar.style.display;
+			if (avatar) {
+				avatar.style.display = "none";
+			}
+			this.hitElement = this.source.ownerDocument.elementFromPoint(this.clientX, this.clientY);
+			if (avatar) {
+				avatar.style.display = display;
+			}
+		},
+
+		/**
+		 * Fire dndleave at the previous drop target and dndenter at the new one.
+		 *
+		 * @param dropTarget drop target element under the pointer, or null
+		 */
+		setDropTarget: function (dropTarget) {
+			if (dropTarget === this.dropTarget) {
+				return;
+			}
+			if (this.dropTarget) {
+				fire(this.dropTarget, "dndleave", this.detail());
+			}
+			this.dropTarget = dropTarget;
+			if (dropTarget) {
+				fire(dropTarget, "dndenter", this.detail());
+			}
+		},
+
+		/**
+		 * Animation frame callback: scroll the containers under the pointer while it is close to their edges.
+		 */
+		autoScroll: function () {
+			this.scrollRequest = null;
+			if (scrollContainers(this.hitElement, this.source.ownerDocument, this.clientX, this.clientY,
+				this.options)) {
+				this.update(); // the content moved under the pointer
+			}
+		},
+
+		/**
+		 * The pointer goes up: drop on the drop target under the pointer.
+		 */
+		drop: function () {
+			var dropTarget = this.dropTarget;
+			if (dropTarget) {
+				fire(dropTarget, "dnddrop", this.detail());
+			}
+			this.end({dropped: !!dropTarget, canceled: false});
+			preventClick(this.source.ownerDocument);
+		},
+
+		/**
+		 * The pointer is canceled: leave the drop target.
+		 */
+		cancel: function () {
+			this.setDropTarget(null);
+			this.end({dropped: false, canceled: true});
+		},
+
+		/**
+		 * Remove the avatar and fire dndend.
+		 *
+		 * @param props properties added to the detail of dndend
+		 */
+		end: function (props) {
+			if (this.scrollRequest !== null) {
+				utils.cancelAnimationFrame(this.scrollRequest);
+				this.scrollRequest = null;
+			}
+			if (this.avatar && this.avatar.parentNode) {
+				this.avatar.parentNode.removeChild(this.avatar);
+			}
+			this.avatar = null;
+			fire(this.source, "dndend", utils.mixin(this.detail(), props));
+		},
+
+		releaseCapture: function () {
+			try {
+				pointerEvents.releasePointerCapture(this.source, this.pointerId);
+			} catch (error) {
+				// the pointer is no longer active
+			}
+		},
+
+		/**
+		 * @returns Object the detail of dnd events.
+		 */
+		detail: function () {
+			return {
+				source: this.source,
+				data: this.options.data,
+				dropTarget: this.dropTarget,
+				pointerId: this.pointerId,
+				pointerType: this.pointerType,
+				clientX: this.clientX,
+				clientY: this.clientY
+			};
+		}
+	};
+
+	/**
+	 * An element where dragged elements can be dropped.
+	 *
+	 * @param element DOM element
+	 * @param options options (see defaultDropTargetOptions)
+	 */
+	var DropTarget = function (element, options) {
+		this.element = element;
+		this.options = utils.mixin({}, defaultDropTargetOptions, options);
+		dropTargets.set(element, this);
+	};
+
+	DropTarget.prototype = {
+		/**
+		 * @param detail detail of the drag
+		 * @returns Boolean true if the drop target accepts the drag.
+		 */
+		accepts: function (detail) {
+			return !this.options.accept || !!this.options.accept(detail);
+		},
+
+		destroy: function () {
+			if (dropTargets.get(this.element) === this) {
+				dropTargets.remove(this.element);
+			}
+		}
+	};
+
+	/**
+	 * @param element element under the pointer
+	 * @param detail detail of the drag
+	 * @returns Element the nearest drop target which contains the element and accepts the drag, or null.
+	 */
+	function findDropTarget(element, detail) {
+		for (var node = element; node && node.nodeType === 1; node = node.parentNode) {
+			var dropTarget = dropTargets.get(node);
+			if (dropTarget && dropTarget.accepts(detail)) {
+				return node;
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * @param source dragged element
+	 * @param option avatar option of the draggable
+	 * @returns Element the avatar, in the body of the document, or null.
+	 */
+	function createAvatar(source, option) {
+		if (!option) {
+			return null;
+		}
+		var avatar, rect = source.getBoundingClientRect();
+		if (typeof option === "function") {
+			avatar = option(source);
+		} else {
+			avatar = source.cloneNode(true);
+			avatar.removeAttribute("id");
+			avatar.style.width = rect.width + "px";
+			avatar.style.height = rect.height + "px";
+			avatar.style.boxSizing = "border-box";
+			avatar.style.opacity = "0.8";
+		}
+		avatar.style.position = "fixed";
+		avatar.style.margin = "0";
+		avatar.style.zIndex = "10000";
+		avatar.style.pointerEvents = "none";
+		source.ownerDocument.body.appendChild(avatar);
+		return avatar;
+	}
+
+	/**
+	 * Scroll the innermost scroll container of the element, or the viewport, if the pointer is close to its edges.
+	 *
+	 * @param element element under the pointer
+	 * @param doc document
+	 * @param clientX position of the pointer
+	 * @param clientY position of the pointer
+	 * @param options autoScrollMargin and autoScrollSpeed
+	 * @returns Boolean true if a container scrolled.
+	 */
+	function scrollContainers(element, doc, clientX, clientY, options) {
+		for (var node = element; node && node.nodeType === 1; node = node.parentNode) {
+			if (node === doc.documentElement || node === doc.body) {
+				break;
+			}
+			if (scrollElement(node, clientX, clientY, options)) {
+				return true;
+			}
+		}
+		var left = doc.defaultView.pageXOffset, top = doc.defaultView.pageYOffset;
+		doc.defaultView.scrollBy(scrollStep(clientX, 0, doc.documentElement.clientWidth, options),
+			scrollStep(clientY, 0, doc.documentElement.clientHeight, options));
+		return doc.defaultView.pageXOffset !== left || doc.defaultView.pageYOffset !== top;
+	}
+
+	/**
+	 * @returns Boolean true if the element is a scroll container and it scrolled.
+	 */
+	function scrollElement(element, clientX, clientY, options) {
+		var style = window.getComputedStyle(element), rect = element.getBoundingClientRect(),
+			left = element.scrollLeft, top = element.scrollTop;
+		if (utils.isScrollable(style.overflowX)) {
+			element.scrollLeft += scrollStep(clientX, rect.left, rect.right, options);
+		}
+		if (utils.isScrollable(style.overflowY)) {
+			element.scrollTop += scrollStep(clientY, rect.top, rect.bottom, options);
+		}
+		return element.scrollLeft !== left || element.scrollTop !== top;
+	}
+
+	/**
+	 * @param position position of the pointer on an axis
+	 * @param start start of the container on the axis
+	 * @param end end of the container on the axis
+	 * @param options autoScrollMargin and autoScrollSpeed
+	 * @returns Number the scroll in px on the axis, which increases as the pointer gets closer to an edge.
+	 */
+	function scrollStep(position, start, end, options) {
+		var margin = Math.min(options.autoScrollMargin, (end - start) / 2);
+		if (margin <= 0) {
+			return 0;
+		}
+		if (position < start + margin) {
+			return -Math.ceil(options.autoScrollSpeed * Math.min(1, (start + margin - position) / margin));
+		}
+		if (position > end - margin) {
+			return Math.ceil(options.autoScrollSpeed * Math.min(1, (position - end + margin) / margin));
+		}
+		return 0;
+	}
+
+	/**
+	 * Prevent the click which follows the pointerup at the end of a drag.
+	 *
+	 * @param doc document
+	 */
+	function preventClick(doc) {
+		function stopClick(e) {
+			e.stopPropagation();
+			e.preventDefault();
+		}
+		utils.addEventListener(doc, "click", stopClick, true);
+		setTimeout(function () {
+			utils.removeEventListener(doc, "click", stopClick, true);
+		}, 0);
+	}
+
+	/**
+	 * Dispatch a bubbling and cancelable dnd event.
+	 *
+	 * @param element DOM element
+	 * @param type event type
+	 * @param detail detail of the event
+	 * @returns Boolean false if a listener called preventDefault().
+	 */
+	function fire(element, type, detail) {
+		var event = element.ownerDocument.createEvent("CustomEvent");
+		event.initCustomEvent(type, true, true, detail);
+		return utils.dispatchEvent(element, event);
+	}
+
+	return {
+		/**
+		 * Let the user drag an element.
+		 *
+		 * @param element DOM element
+		 * @param options (optional)
+		 * - threshold: distance in px a pointer must move to start a drag (default 5).
+		 * - avatar: true to drag a copy of the element (default), false for no avatar, or a function (element)
+		 * which returns the avatar element. The avatar keeps the position of the pointer in the element.
+		 * - data: data of the drag (detail.data of the dnd events).
+		 * - autoScrollMargin: size in px of the edges of scroll containers where the pointer scrolls (default 40).
+		 * - autoScrollSpeed: maximum scroll in px per animation frame (default 20).
+		 * @returns Object the draggable: call destroy() to stop.
+		 */
+		draggable: function (element, options) {
+			return new Draggable(element, options);
+		},
+
+		/**
+		 * Let the user drop dragged elements on an element.
+		 *
+		 * @param element DOM element
+		 * @param options (optional)
+		 * - accept: function (detail) which returns true when the element accepts a drag (default: all drags).
+		 * @returns Object the drop target: call destroy() to stop.
+		 */
+		dropTarget: function (element, options) {
+			return new DropTarget(element, options);
+		}
+	};
+});
@@ -2,64 +2,242 @@
  * Pointer Events shim
  */
 define([
+	"module",
 	"./handlers/features",
 	"./handlers/utils",
+	"./handlers/pointerIds",
+	"./handlers/activePointers",
 	"./handlers/touch",
+	"./handlers/touchAction",
 	"./handlers/mouse",
 	"./handlers/features!mspointer-events?./handlers/mspointer"
-], function (has, utils, touch, mouse, mspointer) {
+], function (module, has, utils, pointerIds, activePointers, touch, touchAction, mouse, mspointer) {
 	"use strict";
 
-	var pointerEvents = {_targetElement: null};
+	var pointerEvents = {_roots: []}, // root elements where native event handlers are registered
+		styledDocuments = [], // documents where touch-action CSS rules are inserted
+		// capture targets by pointer id, when the user agent handles capture but has no hasPointerCapture method
+		nativeCaptureTargets = {},
+		// native hasPointerCapture method, saved before installCaptureMethods() polyfills it (IE11 has none)
+		nativeHasPointerCapture = window.Element.prototype.hasPointerCapture,
+		// loader configuration, for instance: require.config({config: {"dpointer/events": {autoEnable: false}}})
+		config = (module.config && module.config()) || {};
+
+	/**
+	 * Initialize Pointer events with options. Options set in the loader configuration of this module are used as
+	 * default values.
+	 * Importing this module calls init() automatically, unless the loader configuration sets autoEnable to false:
+	 * in that case no handler is registered and no CSS rule is inserted until init() or enable() is called.
+	 *
+	 * @param options (optional) initialization options:
+	 * - root: DOM element on which to attach handlers (default: window.document).
+	 * - handlers: array of native event handlers to register, among "touch", "mouse" and "mspointer"
+	 * (default: determined from the features of the platform).
+	 * - touchActionCSS: set to false to not insert touch-action CSS rules in the document (default: true).
+	 * - tapSlop: maximum distance in px a touch can move to be a tap and fire a synthetic click (default: 0, no limit).
+	 * - tapMaxDuration: maximum duration in ms of a tap (default: 0, no limit).
+	 * - doubleTapDelay: maximum delay in ms between 2 taps to generate a dblclick (default: 250).
+	 * - doubleTapDistance: maximum distance in px between 2 taps to generate a dblclick (default: 0, no limit).
+	 * - longPressDelay: duration in ms of a long press which fires a contextmenu event (default: 500, 0 to disable).
+	 * - longPressSlop: maximum distance in px a touch can move during a long press (default: 10).
+	 * - ghostMouseDelay: delay in ms after a touch during which the mouse events fired by the browser for
+	 * compatibility are ignored (default: 2500).
+	 * - debug: set to true to log a warning when an element with pointer event listeners sits under
+	 * touch-action: auto (touch events only, default: false).
+	 * - eventHandlerAttributes: event types whose event handler content attributes (<div onpointerup="...">) are
+	 * supported, or true for all pointer event types (default: none).
+	 */
+	pointerEvents.init = function (options) {
+		options = utils.mixin({}, config, options);
+		this.enable(options.root, options);
+	};
 
 	/**
 	 * Enable Pointer events. Register native event handlers. Importing this module automatically register native
 	 * event handlers on window.document, unless you specify a target element.
+	 * Pointer events can be enabled on several root elements at once (for instance the main document and the
+	 * document of a same-origin iframe): each root element is reference-counted, handlers are registered on
+	 * the first call and subsequent calls for the same root element only increment its counter.
+	 * Root elements can be nested (for instance the document and a widget with its own options): a native event is
+	 * processed by the handlers of the innermost root element which contains its target.
 	 *
 	 * @param targetElement DOM element on which to attach handlers.
 	 * @default window.document
+	 * @param options (optional) see init(). Only used when handlers are registered on the target element.
 	 */
-	pointerEvents.enable = function (targetElement) {
+	pointerEvents.enable = function (targetElement, options) {
 		targetElement = targetElement || window.document;
-		if (this._targetElement) {
+		options = options || config;
+		var root = findRoot(targetElement);
+		if (root) {
+			root.count++;
 			return;// already initialized
 		}
+		if (options.touchActionCSS !== false) {
+			insertTouchActionCSSRules(targetElement.ownerDocument || targetElement);
+		}
+		root = {element: targetElement, count: 1, handlers: [], cancelListener: null};
+		installCaptureMethods();
+		installGlobals(options);
+		activePointers.watch(targetElement);
+		if (has("pointer-events") || has("mspointer-events")) {
+			utils.addEventListener(targetElement, utils.events.GOTCAPTURE, trackNativeCapture, true);
+			utils.addEventListener(targetElement, utils.events.LOSTCAPTURE, trackNativeCapture, true);
+		}
 		if (!has("pointer-events")) {
-			if (has("mspointer-events")) {
-				mspointer.registerHandlers(targetElement);
-			} else {
-				if (has("touch-events") && has("touch-device")) {
-					touch.registerHandlers(targetElement);
-				} else {
-					mouse.registerHandlers(targetElement);
-				}
-			}
+			root.handlers = (options.handlers || defaultHandlers()).filter(function (name) {
+				return !!handlers[name];
+			});
+			root.handlers.forEach(function (name) {
+				handlers[name].registerHandlers(targetElement, options);
+			});
+			listenPageEvents(root);
 		}
-		this._targetElement = targetElement;
+		this._roots.push(root);
 	};
 
 	/**
-	 * Disable Pointer events. Unregister native event handlers.
+	 * Disable Pointer events. Unregister native event handlers of the target element once disable() has been
+	 * called as many times as enable() for this element. Handlers of other root elements are not affected.
+	 * The pointers which are still active in the target element are canceled (pointercancel and
+	 * lostpointercapture).
+	 *
+	 * @param targetElement DOM element on which handlers are attached.
+	 * @default window.document
 	 */
-	pointerEvents.disable = function () {
-		if (this._targetElement) {
-			touch.deregisterHandlers(this._targetElement);
-			mouse.deregisterHandlers(this._targetElement);
-			mspointer && mspointer.deregisterHandlers(this._targetElement);
+	pointerEvents.disable = function (targetElement) {
+		targetElement = targetElement || window.document;
+		var root = findRoot(targetElement);
+		if (!root || --root.count > 0) {
+			return;
 		}
-		this._targetElement = null;
+		cancelPointers(root);
+		unlistenPageEvents(root);
+		root.handlers.forEach(function (name) {
+			handlers[name].deregisterHandlers(targetElement);
+		});
+		utils.removeEventListener(targetElement, utils.events.GOTCAPTURE, trackNativeCapture, true);
+		utils.removeEventListener(targetElement, utils.events.LOSTCAPTURE, trackNativeCapture, true);
+		activePointers.unwatch(targetElement);
+		this._roots.splice(this._roots.indexOf(root), 1);
 	};
 
+	/**
+	 * @returns Array snapshots of the active pointers (pointers which are down), sorted by pointerId:
+	 * {pointerId, pointerType, isPrimary, clientX, clientY, pageX, pageY, buttons, target, captureTarget,
+	 * touchAction, startTime, velocityX, velocityY}.
+	 */
+	pointerEvents.getActivePointers = function () {
+		return activePointers.getActivePointers();
+	};
+
+	/**
+	 * @param pointerId Pointer ID
+	 * @returns Object a snapshot of the active pointer (see getActivePointers()), or null if the pointer is not
+	 * active.
+	 */
+	pointerEvents.getPointer = function (pointerId) {
+		return activePointers.getPointer(pointerId);
+	};
+
+	// native event handlers, by name
+	var handlers = {
+		touch: touch,
+		mouse: mouse,
+		mspointer: mspointer
+	};
+
+	/**
+	 * @returns Array names of the native event handlers to register when not specified in options.
+	 */
+	function defaultHandlers() {
+		if (has("mspointer-events")) {
+			return ["mspointer"];
+		}
+		// hybrid devices have both a touchscreen and a mouse: the mouse handlers ignore compatibility mouse events
+		return has("touch-events") ? ["touch", "mouse"] : ["mouse"];
+	}
+
+	/**
+	 * Cancel the active pointers of a root element: the native event handlers fire pointercancel and
+	 * lostpointercapture for each pointer and reset their state.
+	 *
+	 * @param root root entry {element, count, handlers}
+	 */
+	function cancelPointers(root) {
+		root.handlers.forEach(function (name) {
+			if (handlers[name].cancelPointers) {
+				handlers[name].cancelPointers(root.element);
+			}
+		});
+	}
+
+	/**
+	 * Listen to the events of the window of a root element after which the user agent stops sending the events
+	 * of the active pointers (window blur, page hidden or unloaded): the active pointers are canceled.
+	 *
+	 * @param root root entry {element, count, handlers}
+	 */
+	function listenPageEvents(root) {
+		var doc = root.element.ownerDocument || root.element,
+			view = doc.defaultView;
+		root.cancelListener = function (e) {
+			if (e.type !== "visibilitychange" || doc.hidden) {
+				cancelPointers(root);
+			}
+		};
+		if (view) {
+			utils.addEventListener(view, "blur", root.cancelListener);
+			utils.addEventListener(view, "pagehide", root.cancelListener);
+		}
+		utils.addEventListener(doc, "visibilitychange", root.cancelListener);
+	}
+
+	/**
+	 * @param root root entry {element, count, handlers}
+	 */
+	function unlistenPageEvents(root) {
+		if (!root.cancelListener) {
+			return;
+		}
+		var doc = root.element.ownerDocument || root.element,
+			view = doc.defaultView;
+		if (view) {
+			utils.removeEventListener(view, "blur", root.cancelListener);
+			utils.removeEventListener(view, "pagehide", root.cancelListener);
+		}
+		utils.removeEventListener(doc, "visibilitychange", root.cancelListener);
+		root.cancelListener = null;
+	}
+
+	/**
+	 * @param targetElement DOM element
+	 * @returns the root entry {element, count} for this element, or null if pointer events are not enabled on it.
+	 */
+	function findRoot(targetElement) {
+		for (var i = 0; i < pointerEvents._roots.length; i++) {
+			if (pointerEvents._roots[i].element === targetElement) {
+				return pointerEvents._roots[i];
+			}
+		}
+		return null;
+	}
+
 	/**
 	 * Set the attribute touch-action on the target element.
 	 * Supported touch-actions are "auto" (user agent handles touch actions
-	 * default behaviors), "none" (disable user agent default behavior), pan-x and pan-y.
+	 * default behaviors), "none" (disable user agent default behavior), "manipulation" and combinations of
+	 * pan-x|pan-left|pan-right, pan-y|pan-up|pan-down and pinch-zoom (for instance "pan-left pan-y").
+	 * Valid values are normalized so that they match the touch-action CSS rules.
 	 *
 	 * @param targetElement a DOM element
-	 * @param actionType touch action type: "auto", "none", "pan-x" or "pan-y"
+	 * @param actionType touch action type: "auto", "none", "pan-x", "pan-left pinch-zoom"...
 	 */
 	pointerEvents.setTouchAction = function (targetElement, actionType) {
-		targetElement.setAttribute(utils.TouchAction.ATTR_NAME, actionType);
+		var value = utils.parseTouchAction(actionType);
+		targetElement.setAttribute(utils.TouchAction.ATTR_NAME,
+			(value === null) ? actionType : utils.touchActionToString(value));
+		touchAction.invalidate(targetElement);
 	};
 
 	/**
@@ -71,16 +249,16 @@ define([
 	pointerEvents.setPointerCapture = function (targetElement, pointerId) {
 		// todo: Internet Explorer automatically set pointer capture on form controls when touch-action is none
 		// todo: manage a list of element type to apply pointer capture automatically when touch-action=none is set??
-		if (!this._targetElement) {
+		if (!this._roots.length) {
 			return false;// not initialized
 		}
 		if (has("pointer-events")) {
 			return targetElement.setPointerCapture(pointerId);// use native Pointer Events method
 		} else {
 			if (has("mspointer-events")) {
-				return targetElement.msSetPointerCapture(pointerId);// use native Pointer Events method
+				return targetElement.msSetPointerCapture(nativePointerId(pointerId));// use native Pointer Events method
 			} else {
-				if (pointerId === 1) { // mouse always gets ID = 1
+				if (pointerIds.getType(pointerId) === "mouse") {
 					return mouse.setPointerCapture(targetElement);
 				} else {
 					return touch.setPointerCapture(targetElement, pointerId);
@@ -96,16 +274,16 @@ define([
 	 * @param pointerId Pointer ID
 	 */
 	pointerEvents.releasePointerCapture = function (targetElement, pointerId) {
-		if (!this._targetElement) {
+		if (!this._roots.length) {
 			return false;
 		}
 		if (has("pointer-events")) {
 			return targetElement.releasePointerCapture(pointerId);
 		} else {
 			if (has("mspointer-events")) {
-				return targetElement.msReleasePointerCapture(pointerId);
+				return targetElement.msReleasePointerCapture(nativePointerId(pointerId));
 			} else {
-				if (pointerId === 1) {
+				if (pointerIds.getType(pointerId) === "mouse") {
 					return mouse.releasePointerCapture(targetElement);
 				} else {
 					return touch.releasePointerCapture(targetElement, pointerId);
@@ -115,44 +293,211 @@ define([
 	};
 
 	/**
-	 * CSS rule to define touch-action or -ms-touch-action when touch-action attribute is set on Elements.
+	 * Check if a DOM element has the pointer capture.
 	 *
-	 * @param styleName should be touch-action or -ms-touch-action
+	 * @param targetElement DOM element
+	 * @param pointerId Pointer ID
+	 * @returns true if the element has the capture of the pointer.
 	 */
-	function insertTouchActionCSSRule(styleName) {
-		var styleElement = document.createElement("style"),
-			attributeName = utils.TouchAction.ATTR_NAME;
-		styleElement.textContent = "[" + attributeName + "='none']  { " + styleName + ": none; }" +
-			"[" + attributeName + "='auto']  { " + styleName + ": auto; }" +
-			"[" + attributeName + "='pan-x'] { " + styleName + ": pan-x; }" +
-			"[" + attributeName + "='pan-y'] { " + styleName + ": pan-y; }" +
-			"[" + attributeName + "='pan-x pan-y'],[" + styleName + "='pan-y pan-x'] " +
-			"{ " + styleName + ": pan-x pan-y; }";
-		document.head.insertBefore(styleElement, document.head.firstChild);
+	pointerEvents.hasPointerCapture = function (targetElement, pointerId) {
+		if (!this._roots.length) {
+			return false;
+		}
+		if (has("pointer-events") && nativeHasPointerCapture) {
+			return nativeHasPointerCapture.call(targetElement, pointerId);
+		} else {
+			if (has("pointer-events") || has("mspointer-events")) {
+				// no native method: rely on gotpointercapture/lostpointercapture events
+				return nativeCaptureTargets[pointerId] === targetElement;
+			} else {
+				if (pointerIds.getType(pointerId) === "mouse") {
+					return mouse.hasPointerCapture(targetElement);
+				} else {
+					return touch.hasPointerCapture(targetElement, pointerId);
+				}
+			}
+		}
+	};
+
+	/**
+	 * @param pointerId Pointer ID of a synthetic pointer event
+	 * @returns the identifier of the pointer in native events (the pointerId itself if the pointer is not active).
+	 */
+	function nativePointerId(pointerId) {
+		var nativeId = pointerIds.getNativeId(pointerId);
+		return (nativeId === undefined) ? pointerId : nativeId;
 	}
 
-	// CSS rule when user agent implements W3C Pointer Events or when a polyfill is in place.
-	if (has("pointer-events")) {
-		insertTouchActionCSSRule("touch-action");
+	/**
+	 * gotpointercapture/lostpointercapture event handler: keep track of native pointer capture targets.
+	 *
+	 * @param e pointer event
+	 */
+	function trackNativeCapture(e) {
+		if (e.type === utils.events.GOTCAPTURE) {
+			nativeCaptureTargets[e.pointerId] = e.target;
+		} else if (nativeCaptureTargets[e.pointerId] === e.target) {
+			delete nativeCaptureTargets[e.pointerId];
+		}
 	}
 
-		// CSS rule for IE10 and IE11 preview
-	if (has("mspointer-events")) {
-		insertTouchActionCSSRule("-ms-touch-action");
+	/**
+	 * Install setPointerCapture, releasePointerCapture and hasPointerCapture on Element.prototype when the user
+	 * agent doesn't implement them, so that elements can be used as with native Pointer Events.
+	 */
+	function installCaptureMethods() {
+		var proto = window.Element.prototype;
+		function checkInitialized() {
+			if (!pointerEvents._roots.length) {
+				throw utils.createDOMException("InvalidPointerId", "Pointer events are not enabled");
+			}
+		}
+		if (!proto.setPointerCapture) {
+			proto.setPointerCapture = function (pointerId) {
+				checkInitialized();
+				pointerEvents.setPointerCapture(this, pointerId);
+			};
+		}
+		if (!proto.releasePointerCapture) {
+			proto.releasePointerCapture = function (pointerId) {
+				checkInitialized();
+				pointerEvents.releasePointerCapture(this, pointerId);
+			};
+		}
+		if (!proto.hasPointerCapture) {
+			proto.hasPointerCapture = function (pointerId) {
+				return pointerEvents.hasPointerCapture(this, pointerId);
+			};
+		}
 	}
-	// CSS rule to map CSS attribute in case user agent has native support for touch-action or -ms-touch-action
-	// CSS property.
-	if (has("css-touch-action")) {
-		insertTouchActionCSSRule("touch-action");
-	} else {
+
+	/**
+	 * Define window.PointerEvent, navigator.maxTouchPoints, navigator.pointerEnabled and the pointer event handler
+	 * properties of elements, documents and window (onpointerdown...) when the browser doesn't, and enable the event
+	 * handler content attributes listed in options.
+	 *
+	 * @param options options of enable()
+	 */
+	function installGlobals(options) {
+		if (!window.PointerEvent) {
+			window.PointerEvent = utils.PointerEvent;
+		}
+		if (!("maxTouchPoints" in navigator)) {
+			Object.defineProperty(navigator, "maxTouchPoints", {value: has("max-touch-points"), configurable: true});
+		}
+		if (!("pointerEnabled" in navigator)) {
+			Object.defineProperty(navigator, "pointerEnabled", {value: true, configurable: true});
+		}
+		// also on Document.prototype and window, as the user agents which support Pointer Events: feature detections
+		// based on "onpointerdown" in element, document or window agree
+		utils.defineEventHandlerProperties(window.Element.prototype);
+		utils.defineEventHandlerProperties(window.Document.prototype);
+		utils.defineEventHandlerProperties(window);
+		if (options.eventHandlerAttributes) {
+			utils.setEventHandlerAttributes(options.eventHandlerAttributes);
+		}
+	}
+
+	/**
+	 * returns all the valid touch-action attribute values, grouped by canonical value.
+	 *
+	 * @returns Object for each canonical value, the list of equivalent values (keywords in any order).
+	 */
+	function touchActionValues() {
+		var values = {auto: ["auto"], none: ["none"], manipulation: ["manipulation"]},
+			groups = [
+				["pan-x", "pan-left", "pan-right"],
+				["pan-y", "pan-up", "pan-down"],
+				["pinch-zoom"]
+			];
+		// returns all the orderings of a list of keywords
+		function permutations(keywords) {
+			if (keywords.length <= 1) {
+				return [keywords];
+			}
+			var result = [];
+			keywords.forEach(function (keyword, i) {
+				permutations(keywords.slice(0, i).concat(keywords.slice(i + 1))).forEach(function (rest) {
+					result.push([keyword].concat(rest));
+				});
+			});
+			return result;
+		}
+		// combine at most one keyword of each group
+		(function combine(g, keywords) {
+			if (g === groups.length) {
+				if (keywords.length) {
+					var canonical = utils.touchActionToString(utils.parseTouchAction(keywords.join(" ")));
+					values[canonical] = (values[canonical] || []).concat(permutations(keywords).map(function (p) {
+						return p.join(" ");
+					}));
+				}
+				return;
+			}
+			combine(g + 1, keywords);
+			groups[g].forEach(function (keyword) {
+				combine(g + 1, keywords.concat(keyword));
+			});
+		})(0, []);
+		return values;
+	}
+
+	/**
+	 * CSS rule to define touch-action or -ms-touch-action when touch-action attribute is set on Elements.
+	 *
+	 * @param doc the document where to insert the rule
+	 * @param styleName should be touch-action or -ms-touch-action
+	 */
+	function insertTouchActionCSSRule(doc, styleName) {
+		var styleElement = doc.createElement("style"),
+			attributeName = utils.TouchAction.ATTR_NAME,
+			values = touchActionValues(),
+			// document.head may not be available yet when the document is loading
+			head = doc.head || doc.getElementsByTagName("head")[0] || doc.documentElement;
+		styleElement.textContent = Object.keys(values).map(function (canonical) {
+			return values[canonical].map(function (value) {
+				return "[" + attributeName + "='" + value + "']";
+			}).join(",") + " { " + styleName + ": " + canonical + "; }";
+		}).join("\n");
+		head.insertBefore(styleElement, head.firstChild);
+	}
+
+	/**
+	 * Insert touch-action CSS rules in a document, according to the features of the user agent.
+	 * Rules are inserted only once per document.
+	 *
+	 * @param doc the document where to insert the rules
+	 */
+	function insertTouchActionCSSRules(doc) {
+		if (styledDocuments.indexOf(doc) !== -1) {
+			return;
+		}
+		styledDocuments.push(doc);
+		// CSS rule when user agent implements W3C Pointer Events or when a polyfill is in place.
+		if (has("pointer-events")) {
+			insertTouchActionCSSRule(doc, "touch-action");
+		}
+
 		// CSS rule for IE10 and IE11 preview
-		if (has("css-ms-touch-action")) {
-			insertTouchActionCSSRule("-ms-touch-action");
+		if (has("mspointer-events")) {
+			insertTouchActionCSSRule(doc, "-ms-touch-action");
+		}
+		// CSS rule to map CSS attribute in case user agent has native support for touch-action or -ms-touch-action
+		// CSS property.
+		if (has("css-touch-action")) {
+			insertTouchActionCSSRule(doc, "touch-action");
+		} else {
+			// CSS rule for IE10 and IE11 preview
+			if (has("css-ms-touch-action")) {
+				insertTouchActionCSSRule(doc, "-ms-touch-action");
+			}
 		}
 	}
 
-	// start listening to native events
-	pointerEvents.enable();
+	// start listening to native events, unless disabled in the loader configuration
+	if (config.autoEnable !== false) {
+		pointerEvents.init();
+	}
 
 	return pointerEvents;
-});
\ No newline at end of file
+});
@@ -0,0 +1,224 @@
+/**
+ * Gesture recognizers built on pointer events.
+ *
+ * Recognizers are attached to elements with add(element, type, options). They consume the pointer events of the
+ * pointers which go down in the element and dispatch bubbling custom events at the element:
+ * - "tap": tap and doubletap
+ * - "press": press
+ * - "pan": panstart, panmove and panend
+ * - "swipe": swipe
+ * - "transform": transformstart, transformchange and transformend (several pointers)
+ *
+ * Recognizers which track the same pointers compete (see gestures/arbiter): by default, the first recognizer
+ * which begins or recognizes a gesture claims its pointers and the others fail. Nested recognizers are fed
+ * first, so the innermost recognizer wins. recognizer.requireFailure(other) delays a recognizer until another one
+ * fails, for instance to recognize a tap only when a press is not recognized.
+ *
+ * Example:
+ *
+ *	gestures.add(node, "swipe", {direction: "horizontal"});
+ *	node.addEventListener("swipe", function (e) { console.log(e.detail.direction, e.detail.velocity); });
+ */
+define([
+	"./events",
+	"./handlers/touchAction",
+	"./handlers/utils",
+	"./handlers/velocityTracker",
+	"./gestures/arbiter",
+	"./gestures/tap",
+	"./gestures/press",
+	"./gestures/pan",
+	"./gestures/swipe",
+	"./gestures/transform"
+], function (pointerEvents, touchAction, utils, VelocityTracker, arbiter, TapRecognizer, PressRecognizer,
+		PanRecognizer, SwipeRecognizer, TransformRecognizer) {
+	"use strict";
+
+	var managers = new utils.ElementMap(), // gesture manager of each element where recognizers are attached
+		methods = {}; // recognizer methods by pointer event type
+
+	methods[utils.events.MOVE] = "move";
+	methods[utils.events.UP] = "up";
+	methods[utils.events.CANCEL] = "cancel";
+
+	/**
+	 * Feeds the recognizers of an element with the pointer events of the pointers which go down in the element.
+	 * pointermove, pointerup and pointercancel are listened on the document while pointers are down, so that the
+	 * pointers are followed wherever they go.
+	 *
+	 * @param element DOM element
+	 */
+	var GestureManager = function (element) {
+		this.element = element;
+		this.recognizers = [];
+		this.pointers = {}; // states of the pointers which went down in the element, by pointerId
+		this.down = this.down.bind(this);
+		this.handleEvent = this.handleEvent.bind(this);
+		utils.addEventListener(element, utils.events.DOWN, this.down, false);
+	};
+
+	GestureManager.prototype = {
+		/**
+		 * pointerdown handler: start tracking the pointer.
+		 *
+		 * @param e pointer event
+		 */
+		down: function (e) {
+			// the recognizers track all the pointers which went down in the element: a new gesture starts when
+			// none of them is active, otherwise the recognizers which failed wait until the gesture ends
+			var newGesture = !Object.keys(this.pointers).length;
+			if (newGesture) {
+				this.listenDocument(true);
+			}
+			var time = new Date().getTime(),
+				pointer = this.pointers[e.pointerId] = {
+					pointerId: e.pointerId,
+					pointerType: e.pointerType,
+					isPrimary: e.isPrimary,
+					target: e.target,
+					touchAction: touchAction.resolve(e.target),
+					startX: e.clientX,
+					startY: e.clientY,
+					startTime: time,
+					clientX: e.clientX,
+					clientY: e.clientY,
+					time: time,
+					velocityTracker: new VelocityTracker()
+				};
+			pointer.velocityTracker.add(e.clientX, e.clientY, time);
+			this.recognizers.forEach(function (recognizer) {
+				if (newGesture) {
+					recognizer.state = arbiter.POSSIBLE;
+				}
+				if (recognizer.state !== arbiter.FAILED) {
+					recognizer.down(pointer, e);
+				}
+			});
+		},
+
+		/**
+		 * pointermove, pointerup and pointercancel handler (document).
+		 *
+		 * @param e pointer event
+		 */
+		handleEvent: function (e) {
+			var pointer = this.pointers[e.pointerId], method = methods[e.type];
+			if (!pointer) {
+				return;
+			}
+			update(pointer, e);
+			if (e.type !== utils.events.MOVE) {
+				delete this.pointers[e.pointerId];
+				if (!Object.keys(this.pointers).length) {
+					this.listenDocument(false);
+				}
+			}
+			this.recognizers.forEach(function (recognizer) {
+				recognizer[method](pointer, e);
+			});
+			if (e.type !== utils.events.MOVE) {
+				arbiter.release(e.pointerId);
+			}
+		},
+
+		/**
+		 * @param listen true to start listening to pointer events on the document, false to stop.
+		 */
+		listenDocument: function (listen) {
+			var doc = this.element.ownerDocument,
+				method = listen ? utils.addEventListener : utils.removeEventListener;
+			Object.keys(methods).forEach(function (type) {
+				method(doc, type, this.handleEvent, true);
+			}, this);
+		},
+
+		/**
+		 * Stop listening to pointer events.
+		 */
+		destroy: function () {
+			utils.removeEventListener(this.element, utils.events.DOWN, this.down, false);
+			if (Object.keys(this.pointers).length) {
+				this.listenDocument(false);
+			}
+			this.pointers = {};
+		}
+	};
+
+	/**
+	 * Update the state of a pointer from a pointer event.
+	 *
+	 * @param pointer pointer state
+	 * @param e pointer event
+	 */
+	function update(pointer, e) {
+		pointer.clientX = e.clientX;
+		pointer.clientY = e.clientY;
+		pointer.time = new Date().getTime();
+		pointer.velocityTracker.add(e.clientX, e.clientY, pointer.time);
+	}
+
+	var gestures = {
+		/**
+		 * Recognizer constructors by type. Other recognizers can be registered: a recognizer is constructed with
+		 * (element, options) and implements the methods of gestures/recognizer.
+		 */
+		recognizers: {
+			tap: TapRecognizer,
+			press: PressRecognizer,
+			pan: PanRecognizer,
+			swipe: SwipeRecognizer,
+			transform: TransformRecognizer
+		},
+
+		/**
+		 * Attach a recognizer to an element.
+		 *
+		 * @param element DOM element
+		 * @param type recognizer type: "tap", "press", "pan", "swipe" or "transform"
+		 * @param options (optional) thresholds of the recognizer
+		 * @returns the recognizer
+		 */
+		add: function (element, type, options) {
+			var Recognizer = this.recognizers[type];
+			if (!Recognizer) {
+				throw new Error("Unknown gesture recognizer: " + type);
+			}
+			var manager = managers.get(element) || managers.set(element, new GestureManager(element)),
+				recognizer = new Recognizer(element, options);
+			manager.recognizers.push(recognizer);
+			arbiter.add(recognizer);
+			return recognizer;
+		},
+
+		/**
+		 * Detach a recognizer from an element.
+		 *
+		 * @param element DOM element
+		 * @param recognizer a recognizer returned by add()
+		 */
+		remove: function (element, recognizer) {
+			var manager = managers.get(element), i = manager ? manager.recognizers.indexOf(recognizer) : -1;
+			if (i === -1) {
+				return;
+			}
+			manager.recognizers.splice(i, 1);
+			arbiter.remove(recognizer);
+			recognizer.destroy();
+			if (!manager.recognizers.length) {
+				manager.destroy();
+				managers.remove(element);
+			}
+		},
+
+		/**
+		 * @param element DOM element
+		 * @returns Array the recognizers attached to the element.
+		 */
+		getRecognizers: function (element) {
+			var manager = managers.get(element);
+			return manager ? manager.recognizers.slice() : [];
+		}
+	};
+
+	return gestures;
+});
@@ -0,0 +1,211 @@
+/**
+ * Arbitration between the gesture recognizers which track the same pointers (recognizers of an element, or of
+ * nested elements).
+ *
+ * A recognizer is in one of the states:
+ * - possible: it tracks pointers and may recognize a gesture.
+ * - began: a continuous gesture (pan, transform) is in progress.
+ * - recognized: a discrete gesture (tap, press, swipe) was recognized or a continuous gesture ended.
+ * - failed: the pointers don't make a gesture for this recognizer.
+ *
+ * A recognizer asks the arbiter before it begins or recognizes a gesture. The request is granted unless:
+ * - a pointer of the gesture was claimed by another exclusive recognizer: the recognizer fails.
+ * - a recognizer it requires to fail (see Recognizer.requireFailure()) tracks the same pointers and began or
+ * recognized a gesture: the recognizer fails.
+ * - a recognizer it requires to fail tracks the same pointers and is still possible: the request waits until it
+ * fails (discrete gestures) or is refused (continuous gestures retry on the next move).
+ * Recognizers which track other pointers (for instance on another element) don't compete.
+ *
+ * When the request of an exclusive recognizer is granted, it claims the pointers of the gesture: the active
+ * pointers are captured by its element, and the other exclusive recognizers which track these pointers fail
+ * (continuous gestures in progress end as canceled).
+ */
+define([
+	"../events"
+], function (pointerEvents) {
+	"use strict";
+
+	var POSSIBLE = "possible",
+		BEGAN = "began",
+		RECOGNIZED = "recognized",
+		FAILED = "failed",
+		GRANT = "grant", // results of the evaluation of a request
+		WAIT = "wait",
+		REFUSE = "refuse",
+		recognizers = [], // recognizers attached to elements
+		claims = {}, // exclusive recognizer which claimed each pointer, by pointerId
+		pending = []; // requests {recognizer, state, pointerIds, callback} waiting for required recognizers to fail
+
+	/**
+	 * @param recognizer a recognizer
+	 * @param pointerIds pointer ids
+	 * @returns Boolean true if the recognizer tracks one of the pointers.
+	 */
+	function tracksAny(recognizer, pointerIds) {
+		return recognizer.getPointerIds().some(function (pointerId) {
+			return pointerIds.indexOf(pointerId) !== -1;
+		});
+	}
+
+	/**
+	 * @param recognizer a recognizer
+	 * @param pointerIds the pointers of the gesture
+	 * @returns String REFUSE if the recognizer must fail, WAIT if it must wait, GRANT if the request can be granted.
+	 */
+	function evaluate(recognizer, pointerIds) {
+		var waits = false;
+		if (recognizer.options.exclusive && pointerIds.some(function (pointerId) {
+			return claims[pointerId] && claims[pointerId] !== recognizer;
+		})) {
+			return REFUSE;
+		}
+		for (var i = 0; i < recognizer.requiredFailures.length; i++) {
+			var required = recognizer.requiredFailures[i];
+			// a recognizer which doesn't track the pointers of the gesture doesn't compete
+			if (tracksAny(required, pointerIds)) {
+				if (required.state === BEGAN || required.state === RECOGNIZED) {
+					return REFUSE;
+				}
+				waits = waits || required.state === POSSIBLE;
+			}
+		}
+		return waits ? WAIT : GRANT;
+	}
+
+	/**
+	 * Claim the pointers of a gesture for an exclusive recognizer, then change its state and call back.
+	 *
+	 * @param recognizer a recognizer
+	 * @param state BEGAN or RECOGNIZED
+	 * @param pointerIds the pointers of the gesture
+	 * @param callback function called (with the recognizer as this) to fire the events of the gesture
+	 */
+	function grant(recognizer, state, pointerIds, callback) {
+		if (recognizer.options.exclusive) {
+			pointerIds.forEach(function (pointerId) {
+				claims[pointerId] = recognizer;
+				if (pointerEvents.getPointer(pointerId)) {
+					try {
+						pointerEvents.setPointerCapture(recognizer.element, pointerId);
+					} catch (error) {
+						// InvalidPointerId: the pointer events were not fired by the user agent or the shim
+						// (synthetic events dispatched by the application), the pointer is claimed but not captured
+					}
+				}
+			});
+			recognizers.filter(function (other) {
+				return other !== recognizer && other.options.exclusive && tracksAny(other, pointerIds);
+			}).forEach(function (loser) {
+				loser.fail();
+			});
+		}
+		arbiter.setState(recognizer, state);
+		callback.call(recognizer);
+	}
+
+	/**
+	 * Process the pending requests which wait for a recognizer.
+	 *
+	 * @param required a recognizer which failed, began or recognized a gesture
+	 */
+	function processPending(required) {
+		var recognized = required.state === BEGAN || required.state === RECOGNIZED;
+		pending.filter(function (request) {
+			return request.recognizer.requiredFailures.indexOf(required) !== -1;
+		}).forEach(function (request) {
+			var result = recognized ? REFUSE : evaluate(request.recognizer, request.pointerIds);
+			// the request may have been removed while processing the other requests
+			if (result !== WAIT && pending.indexOf(request) !== -1) {
+				pending.splice(pending.indexOf(request), 1);
+				if (result === REFUSE) {
+					request.recognizer.fail();
+				} else {
+					grant(request.recognizer, request.state, request.pointerIds, request.callback);
+				}
+			}
+		});
+	}
+
+	var arbiter = {
+		POSSIBLE: POSSIBLE,
+		BEGAN: BEGAN,
+		RECOGNIZED: RECOGNIZED,
+		FAILED: FAILED,
+
+		/**
+		 * @param recognizer a recognizer attached to an element
+		 */
+		add: function (recognizer) {
+			recognizers.push(recognizer);
+		},
+
+		/**
+		 * @param recognizer a recognizer detached from its element
+		 */
+		remove: function (recognizer) {
+			recognizers.splice(recognizers.indexOf(recognizer), 1);
+			pending = pending.filter(function (request) {
+				return request.recognizer !== recognizer;
+			});
+			Object.keys(claims).forEach(function (pointerId) {
+				if (claims[pointerId] === recognizer) {
+					delete claims[pointerId];
+				}
+			});
+		},
+
+		/**
+		 * Request to begin or recognize a gesture.
+		 *
+		 * @param recognizer a recognizer
+		 * @param state BEGAN or RECOGNIZED
+		 * @param pointerIds the pointers of the gesture
+		 * @param callback function called (with the recognizer as this) when the request is granted
+		 * @param wait true to wait for the required recognizers to fail, false to refuse the request while they
+		 * are possible
+		 * @returns Boolean true if the request has been granted.
+		 */
+		request: function (recognizer, state, pointerIds, callback, wait) {
+			var result = evaluate(recognizer, pointerIds);
+			if (result === GRANT) {
+				grant(recognizer, state, pointerIds, callback);
+				return true;
+			}
+			if (result === REFUSE) {
+				recognizer.fail();
+			} else if (wait) {
+				pending.push({recognizer: recognizer, state: state, pointerIds: pointerIds, callback: callback});
+			}
+			return false;
+		},
+
+		/**
+		 * Change the state of a recognizer and process the requests which wait for it.
+		 *
+		 * @param recognizer a recognizer
+		 * @param state new state
+		 */
+		setState: function (recognizer, state) {
+			recognizer.state = state;
+			if (state === FAILED) {
+				pending = pending.filter(function (request) {
+					return request.recognizer !== recognizer;
+				});
+			}
+			if (state !== POSSIBLE) {
+				processPending(recognizer);
+			}
+		},
+
+		/**
+		 * Release the claim on a pointer which is no longer active.
+		 *
+		 * @param pointerId pointer id
+		 */
+		release: function (pointerId) {
+			delete claims[pointerId];
+		}
+	};
+
+	return arbiter;
+});
@@ -0,0 +1,95 @@
+/**
+ * Pan recognizer: fires "panstart" when a pointer moves beyond a threshold, "panmove" on each subsequent move and
+ * "panend" when the pointer goes up or is canceled (detail.canceled is true).
+ *
+ * Options:
+ * - threshold: distance in px a pointer must move to start a pan (default 10).
+ * - direction: "all", "horizontal" or "vertical" (default "all"). A pan which starts in another direction
+ * is not recognized.
+ *
+ * The detail of pan events has the velocity of the pointer (velocityX, velocityY in px/ms). A pan is not
+ * recognized for touch pointers when the touch-action of the element lets the user agent pan in its direction.
+ */
+define([
+	"../handlers/utils",
+	"./recognizer"
+], function (utils, Recognizer) {
+	"use strict";
+
+	var defaultOptions = {
+		threshold: 10,
+		direction: "all"
+	};
+
+	var PanRecognizer = function (element, options) {
+		Recognizer.call(this, element, options, defaultOptions);
+	};
+
+	PanRecognizer.prototype = utils.mixin(Object.create(Recognizer.prototype), {
+		down: function (pointer) {
+			// the first pointer pans, other pointers are ignored
+			if (!this.pointer) {
+				this.pointer = pointer;
+			}
+		},
+
+		move: function (pointer) {
+			if (pointer !== this.pointer) {
+				return;
+			}
+			if (this.state === Recognizer.BEGAN) {
+				this.fire("panmove", this.panDetail(pointer));
+			} else if (this.distance(pointer) > this.options.threshold) {
+				var dx = pointer.clientX - pointer.startX, dy = pointer.clientY - pointer.startY;
+				if (!Recognizer.isDirectionAllowed(this.options.direction, Recognizer.direction(dx, dy)) ||
+					this.isUserAgentPan(pointer, dx, dy)) {
+					this.fail();
+					return;
+				}
+				this.begin([pointer.pointerId], function () {
+					this.fire("panstart", this.panDetail(pointer));
+				});
+			}
+		},
+
+		up: function (pointer) {
+			if (pointer !== this.pointer) {
+				return;
+			}
+			if (this.state !== Recognizer.BEGAN) {
+				this.fail();
+				return;
+			}
+			this.pointer = null;
+			this.complete(function () {
+				this.fire("panend", this.panDetail(pointer, {canceled: false}));
+			});
+		},
+
+		cancel: function (pointer) {
+			if (pointer === this.pointer) {
+				this.fail();
+			}
+		},
+
+		reset: function () {
+			var pointer = this.pointer;
+			this.pointer = null;
+			if (pointer && this.state === Recognizer.BEGAN) {
+				this.fire("panend", this.panDetail(pointer, {canceled: true}));
+			}
+		},
+
+		/**
+		 * @param pointer pointer state
+		 * @param props (optional) other properties
+		 * @returns Object the detail of a pan event.
+		 */
+		panDetail: function (pointer, props) {
+			var velocity = this.velocity(pointer);
+			return this.detail(pointer, utils.mixin({velocityX: velocity.x, velocityY: velocity.y}, props));
+		}
+	});
+
+	return PanRecognizer;
+});
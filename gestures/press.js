@@ -0,0 +1,78 @@
+/**
+ * Press recognizer: fires "press" when a single pointer stays down without moving during a delay.
+ *
+ * Options:
+ * - delay: duration in ms of a press (default 500).
+ * - slop: maximum distance in px a pointer can move during a press (default 10).
+ */
+define([
+	"../handlers/utils",
+	"./recognizer"
+], function (utils, Recognizer) {
+	"use strict";
+
+	var defaultOptions = {
+		delay: 500,
+		slop: 10
+	};
+
+	var PressRecognizer = function (element, options) {
+		Recognizer.call(this, element, options, defaultOptions);
+		this.timer = null;
+	};
+
+	PressRecognizer.prototype = utils.mixin(Object.create(Recognizer.prototype), {
+		down: function (pointer) {
+			if (this.pointer) {
+				this.fail(); // a press has a single pointer
+				return;
+			}
+			this.pointer = pointer;
+			this.timer = setTimeout(function () {
+				this.timer = null;
+				this.recognize([pointer.pointerId], function () {
+					this.fire("press", this.detail(pointer));
+				});
+			}.bind(this), this.options.delay);
+		},
+
+		move: function (pointer) {
+			if (pointer === this.pointer && this.state === Recognizer.POSSIBLE &&
+				this.distance(pointer) > this.options.slop) {
+				this.fail();
+			}
+		},
+
+		up: function (pointer) {
+			this.end(pointer);
+		},
+
+		cancel: function (pointer) {
+			this.end(pointer);
+		},
+
+		/**
+		 * The pointer goes up or is canceled: the press fails unless it has been recognized.
+		 *
+		 * @param pointer pointer state
+		 */
+		end: function (pointer) {
+			if (pointer !== this.pointer) {
+				return;
+			}
+			if (this.state === Recognizer.POSSIBLE) {
+				this.fail();
+			} else {
+				this.reset();
+			}
+		},
+
+		reset: function () {
+			clearTimeout(this.timer);
+			this.timer = null;
+			this.pointer = null;
+		}
+	});
+
+	return PressRecognizer;
+});
@@ -0,0 +1,236 @@
+/**
+ * Base class of the gesture recognizers.
+ *
+ * A recognizer is attached to an element by dpointer/gestures. It receives the pointer events of the pointers
+ * which go down in the element (pointerdown, then pointermove, pointerup and pointercancel wherever the pointer
+ * goes) with the state of the pointer, and dispatches bubbling custom events at the element when it recognizes
+ * a gesture. The detail of the custom events describes the gesture.
+ *
+ * Pointer state: {pointerId, pointerType, isPrimary, target, touchAction, startX, startY, startTime, clientX,
+ * clientY, time, velocityTracker}. Coordinates are client coordinates, times are in ms and velocityTracker
+ * estimates the velocity of the pointer (see handlers/velocityTracker).
+ *
+ * Recognizers don't fire events directly: they ask the arbiter (see gestures/arbiter) with begin() or recognize(),
+ * and call fail() when the pointers don't make a gesture. Single pointer recognizers keep the state of their
+ * pointer in the pointer property; other recognizers override getPointerIds() and reset().
+ *
+ * Options of all recognizers:
+ * - exclusive: set to false to let the recognizer recognize gestures together with other recognizers: it
+ * doesn't claim its pointers and doesn't fail when other recognizers claim them (default true).
+ */
+define([
+	"../handlers/utils",
+	"./arbiter"
+], function (utils, arbiter) {
+	"use strict";
+
+	/**
+	 * @param element DOM element where the recognizer is attached
+	 * @param options (optional) thresholds of the recognizer, mixed into defaultOptions
+	 * @param defaultOptions default thresholds of the recognizer
+	 */
+	var Recognizer = function (element, options, defaultOptions) {
+		this.element = element;
+		this.options = utils.mixin({exclusive: true}, defaultOptions, options);
+		this.state = arbiter.POSSIBLE;
+		this.requiredFailures = []; // recognizers which must fail before this one recognizes a gesture
+		this.pointer = null; // state of the pointer of a single pointer recognizer
+	};
+
+	Recognizer.prototype = {
+		/**
+		 * pointerdown handler, called with the state of the pointer and the pointer event.
+		 */
+		down: function () {
+		},
+
+		/**
+		 * pointermove handler, called with the state of the pointer and the pointer event.
+		 */
+		move: function () {
+		},
+
+		/**
+		 * pointerup handler, called with the state of the pointer and the pointer event.
+		 */
+		up: function () {
+		},
+
+		/**
+		 * pointercancel handler, called with the state of the pointer and the pointer event.
+		 */
+		cancel: function () {
+		},
+
+		/**
+		 * Called when the recognizer is removed from its element.
+		 */
+		destroy: function () {
+			this.reset();
+		},
+
+		/**
+		 * @returns Array the ids of the pointers tracked by the recognizer.
+		 */
+		getPointerIds: function () {
+			return this.pointer ? [this.pointer.pointerId] : [];
+		},
+
+		/**
+		 * Stop tracking pointers: clear timers, end a gesture in progress as canceled.
+		 */
+		reset: function () {
+			this.pointer = null;
+		},
+
+		/**
+		 * The recognizer won't recognize a gesture until the other recognizer fails, and fails if the other
+		 * recognizer recognizes a gesture with the same pointers.
+		 *
+		 * @param recognizer another recognizer
+		 */
+		requireFailure: function (recognizer) {
+			this.requiredFailures.push(recognizer);
+		},
+
+		/**
+		 * Begin a continuous gesture, unless the arbiter refuses or a required recognizer is still possible.
+		 *
+		 * @param pointerIds the pointers of the gesture
+		 * @param callback function called (with the recognizer as this) when the gesture begins
+		 * @returns Boolean true if the gesture began.
+		 */
+		begin: function (pointerIds, callback) {
+			return arbiter.request(this, arbiter.BEGAN, pointerIds, callback, false);
+		},
+
+		/**
+		 * Recognize a discrete gesture, once the required recognizers have failed.
+		 *
+		 * @param pointerIds the pointers of the gesture
+		 * @param callback function called (with the recognizer as this) when the gesture is recognized
+		 */
+		recognize: function (pointerIds, callback) {
+			arbiter.request(this, arbiter.RECOGNIZED, pointerIds, callback, true);
+		},
+
+		/**
+		 * End a continuous gesture.
+		 *
+		 * @param callback function called (with the recognizer as this) to fire the end of the gesture
+		 */
+		complete: function (callback) {
+			arbiter.setState(this, arbiter.RECOGNIZED);
+			callback.call(this);
+		},
+
+		/**
+		 * The pointers don't make a gesture: stop tracking them.
+		 */
+		fail: function () {
+			this.reset();
+			arbiter.setState(this, arbiter.FAILED);
+		},
+
+		/**
+		 * Dispatch a bubbling and cancelable custom event at the element.
+		 *
+		 * @param type event type ("tap", "panstart"...)
+		 * @param detail detail of the event
+		 * @returns Boolean false if the event has been canceled.
+		 */
+		fire: function (type, detail) {
+			var event = this.element.ownerDocument.createEvent("CustomEvent");
+			event.initCustomEvent(type, true, true, detail);
+			return utils.dispatchEvent(this.element, event);
+		},
+
+		/**
+		 * @param pointer pointer state
+		 * @param props (optional) properties specific to the gesture
+		 * @returns Object the detail of a gesture event: {pointerId, pointerType, target, clientX, clientY,
+		 * deltaX, deltaY (from the start of the pointer), duration} and props.
+		 */
+		detail: function (pointer, props) {
+			return utils.mixin({
+				pointerId: pointer.pointerId,
+				pointerType: pointer.pointerType,
+				target: pointer.target,
+				clientX: pointer.clientX,
+				clientY: pointer.clientY,
+				deltaX: pointer.clientX - pointer.startX,
+				deltaY: pointer.clientY - pointer.startY,
+				duration: pointer.time - pointer.startTime
+			}, props);
+		},
+
+		/**
+		 * @param pointer pointer state
+		 * @returns Number the distance in px between the start and the current position of the pointer.
+		 */
+		distance: function (pointer) {
+			return utils.distance(pointer.startX, pointer.startY, pointer.clientX, pointer.clientY);
+		},
+
+		/**
+		 * @param pointer pointer state
+		 * @returns Object the velocity {x, y} of the pointer in px/ms, over its last moves.
+		 */
+		velocity: function (pointer) {
+			return pointer.velocityTracker.getVelocity();
+		},
+
+		/**
+		 * Touch and pen pointers don't fire pointer events while the user agent pans: a gesture which moves in a
+		 * direction allowed by the touch-action of the pointer can't be recognized.
+		 *
+		 * @param pointer pointer state
+		 * @param dx horizontal move in px
+		 * @param dy vertical move in px
+		 * @returns Boolean true if the user agent pans when the pointer moves in the main direction of (dx, dy).
+		 */
+		isUserAgentPan: function (pointer, dx, dy) {
+			if (pointer.pointerType === "mouse") {
+				return false;
+			}
+			var TouchAction = utils.TouchAction, direction;
+			if (Math.abs(dx) >= Math.abs(dy)) {
+				// the finger moves to the right: the content scrolls to the left
+				direction = (dx > 0) ? TouchAction.PAN_LEFT : TouchAction.PAN_RIGHT;
+			} else {
+				direction = (dy > 0) ? TouchAction.PAN_UP : TouchAction.PAN_DOWN;
+			}
+			return !!(pointer.touchAction & direction);
+		}
+	};
+
+	// states of recognizers
+	Recognizer.POSSIBLE = arbiter.POSSIBLE;
+	Recognizer.BEGAN = arbiter.BEGAN;
+	Recognizer.RECOGNIZED = arbiter.RECOGNIZED;
+	Recognizer.FAILED = arbiter.FAILED;
+
+	/**
+	 * @param dx horizontal move
+	 * @param dy vertical move
+	 * @returns String the main direction of a move: "left", "right", "up" or "down".
+	 */
+	Recognizer.direction = function (dx, dy) {
+		if (Math.abs(dx) >= Math.abs(dy)) {
+			return (dx < 0) ? "left" : "right";
+		}
+		return (dy < 0) ? "up" : "down";
+	};
+
+	/**
+	 * @param allowed "all", "horizontal" or "vertical"
+	 * @param direction "left", "right", "up" or "down"
+	 * @returns Boolean true if the direction is allowed.
+	 */
+	Recognizer.isDirectionAllowed = function (allowed, direction) {
+		return allowed === "all" ||
+			(allowed === "horizontal") === (direction === "left" || direction === "right");
+	};
+
+	return Recognizer;
+});
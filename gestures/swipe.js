@@ -0,0 +1,72 @@
+/**
+ * Swipe recognizer: fires "swipe" when a single pointer goes up after a fast move.
+ *
+ * Options:
+ * - minDistance: minimum distance in px between the start and the end of a swipe (default 30).
+ * - minVelocity: minimum velocity in px/ms of the pointer when it goes up (default 0.3).
+ * - direction: "all", "horizontal" or "vertical" (default "all").
+ *
+ * The detail of swipe events has the direction of the swipe ("left", "right", "up" or "down") and the velocity
+ * of the pointer (velocity, velocityX, velocityY in px/ms). A swipe is not recognized for touch pointers when the
+ * touch-action of the element lets the user agent pan in its direction.
+ */
+define([
+	"../handlers/utils",
+	"./recognizer"
+], function (utils, Recognizer) {
+	"use strict";
+
+	var defaultOptions = {
+		minDistance: 30,
+		minVelocity: 0.3,
+		direction: "all"
+	};
+
+	var SwipeRecognizer = function (element, options) {
+		Recognizer.call(this, element, options, defaultOptions);
+	};
+
+	SwipeRecognizer.prototype = utils.mixin(Object.create(Recognizer.prototype), {
+		down: function (pointer) {
+			if (this.pointer) {
+				this.fail(); // a swipe has a single pointer
+				return;
+			}
+			this.pointer = pointer;
+		},
+
+		up: function (pointer) {
+			if (pointer !== this.pointer) {
+				return;
+			}
+			var dx = pointer.clientX - pointer.startX,
+				dy = pointer.clientY - pointer.startY,
+				direction = Recognizer.direction(dx, dy),
+				velocity = this.velocity(pointer),
+				speed = Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y);
+			if (this.distance(pointer) >= this.options.minDistance && speed >= this.options.minVelocity &&
+				Recognizer.isDirectionAllowed(this.options.direction, direction) &&
+				!this.isUserAgentPan(pointer, dx, dy)) {
+				this.pointer = null;
+				this.recognize([pointer.pointerId], function () {
+					this.fire("swipe", this.detail(pointer, {
+						direction: direction,
+						velocity: speed,
+						velocityX: velocity.x,
+						velocityY: velocity.y
+					}));
+				});
+			} else {
+				this.fail();
+			}
+		},
+
+		cancel: function (pointer) {
+			if (pointer === this.pointer) {
+				this.fail();
+			}
+		}
+	});
+
+	return SwipeRecognizer;
+});
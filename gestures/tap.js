@@ -0,0 +1,86 @@
+/**
+ * Tap recognizer: fires "tap" when a single pointer goes down and up without moving, and "doubletap" when a tap
+ * repeats the previous tap.
+ *
+ * Options:
+ * - slop: maximum distance in px a pointer can move during a tap (default 10).
+ * - maxDuration: maximum duration in ms of a tap (default 300).
+ * - doubleTapDelay: maximum delay in ms between 2 taps of a double tap (default 300).
+ * - doubleTapSlop: maximum distance in px between 2 taps of a double tap (default 20).
+ *
+ * The detail of tap events has a count property (1, 2, 3... for repeated taps). "doubletap" is not fired for
+ * touch pointers when the touch-action of the element lets the user agent zoom on double tap.
+ */
+define([
+	"../handlers/utils",
+	"./recognizer"
+], function (utils, Recognizer) {
+	"use strict";
+
+	var defaultOptions = {
+		slop: 10,
+		maxDuration: 300,
+		doubleTapDelay: 300,
+		doubleTapSlop: 20
+	};
+
+	var TapRecognizer = function (element, options) {
+		Recognizer.call(this, element, options, defaultOptions);
+		this.count = 0; // number of repeated taps
+		this.lastTap = null; // {time, x, y} of the last tap
+	};
+
+	TapRecognizer.prototype = utils.mixin(Object.create(Recognizer.prototype), {
+		down: function (pointer) {
+			if (this.pointer) {
+				this.fail(); // a tap has a single pointer
+				return;
+			}
+			this.pointer = pointer;
+		},
+
+		move: function (pointer) {
+			if (pointer === this.pointer && this.distance(pointer) > this.options.slop) {
+				this.fail();
+			}
+		},
+
+		up: function (pointer) {
+			if (pointer !== this.pointer) {
+				return;
+			}
+			if (pointer.time - pointer.startTime > this.options.maxDuration) {
+				this.fail();
+				return;
+			}
+			this.pointer = null;
+			this.recognize([pointer.pointerId], function () {
+				this.count = this.isRepeat(pointer) ? this.count + 1 : 1;
+				this.lastTap = {time: pointer.time, x: pointer.clientX, y: pointer.clientY};
+				this.fire("tap", this.detail(pointer, {count: this.count}));
+				if (this.count === 2 &&
+					(pointer.pointerType === "mouse" || !(pointer.touchAction & utils.TouchAction.DOUBLE_TAP_ZOOM))) {
+					this.fire("doubletap", this.detail(pointer, {count: this.count}));
+				}
+			});
+		},
+
+		cancel: function (pointer) {
+			if (pointer === this.pointer) {
+				this.fail();
+			}
+		},
+
+		/**
+		 * @param pointer pointer state at the end of a tap
+		 * @returns Boolean true if the tap repeats the last tap.
+		 */
+		isRepeat: function (pointer) {
+			var lastTap = this.lastTap;
+			return !!lastTap && pointer.startTime - lastTap.time <= this.options.doubleTapDelay &&
+				utils.distance(lastTap.x, lastTap.y, pointer.clientX, pointer.clientY) <= this.options.doubleTapSlop;
+		}
+	});
+
+	return TapRecognizer;
+});
@@ -0,0 +1,213 @@
+/**
+ * Transform recognizer: tracks the pointers down in the element and fires "transformstart", "transformchange"
+ * and "transformend" while at least minPointers pointers move together (pinch zoom, rotation, pan with several
+ * fingers).
+ *
+ * Options:
+ * - minPointers: number of pointers of a transform (default 2).
+ * - threshold: distance in px a pointer must move to start a transform (default 5).
+ *
+ * The detail of transform events has:
+ * - pointers: number of pointers, centerX, centerY: centroid of the pointers (client coordinates).
+ * - scale, rotation (degrees, clockwise), translationX, translationY (px): cumulative transform since the start.
+ * - deltaScale, deltaRotation, deltaX, deltaY: transform since the previous event.
+ * - canceled: true on transformend after a pointercancel.
+ *
+ * Each move is measured between the previous and the current positions of the same pointers: pointers can join
+ * or leave the transform without changing the scale, rotation or centroid. A transform is not recognized for
+ * touch pointers when the touch-action of the element lets the user agent zoom.
+ */
+define([
+	"../handlers/utils",
+	"./recognizer"
+], function (utils, Recognizer) {
+	"use strict";
+
+	var defaultOptions = {
+		minPointers: 2,
+		threshold: 5
+	};
+
+	var NO_DELTA = {deltaScale: 1, deltaRotation: 0, deltaX: 0, deltaY: 0};
+
+	var TransformRecognizer = function (element, options) {
+		Recognizer.call(this, element, options, defaultOptions);
+		this.positions = {}; // last positions {x, y} of the pointers, by pointerId
+		this.starts = null; // positions of the pointers when they become enough to start a transform
+		this.transform = null; // cumulative transform
+	};
+
+	TransformRecognizer.prototype = utils.mixin(Object.create(Recognizer.prototype), {
+		down: function (pointer) {
+			if (pointer.pointerType !== "mouse" && (pointer.touchAction & utils.TouchAction.PINCH_ZOOM)) {
+				return; // the user agent zooms
+			}
+			this.positions[pointer.pointerId] = {x: pointer.clientX, y: pointer.clientY};
+			if (this.state !== Recognizer.BEGAN && this.count() >= this.options.minPointers) {
+				this.state = Recognizer.POSSIBLE;
+				this.starts = utils.mixin({}, this.positions);
+				this.transform = {scale: 1, rotation: 0, translationX: 0, translationY: 0};
+			}
+		},
+
+		move: function (pointer) {
+			if (!this.positions[pointer.pointerId]) {
+				return;
+			}
+			var previous = this.points(), transform = this.transform, delta;
+			this.positions[pointer.pointerId] = {x: pointer.clientX, y: pointer.clientY};
+			delta = measure(previous, this.points());
+			if (!transform) {
+				return; // not enough pointers
+			}
+			transform.scale *= delta.deltaScale;
+			transform.rotation += delta.deltaRotation;
+			transform.translationX += delta.deltaX;
+			transform.translationY += delta.deltaY;
+			if (this.state === Recognizer.BEGAN) {
+				this.fire("transformchange", this.transformDetail(delta));
+			} else if (this.hasMoved()) {
+				this.begin(this.getPointerIds(), function () {
+					this.fire("transformstart", this.transformDetail(delta));
+				});
+			}
+		},
+
+		up: function (pointer) {
+			if (!this.positions[pointer.pointerId]) {
+				return;
+			}
+			delete this.positions[pointer.pointerId];
+			if (this.starts) {
+				delete this.starts[pointer.pointerId];
+			}
+			if (this.count() >= this.options.minPointers) {
+				return;
+			}
+			// not enough pointers
+			if (this.state === Recognizer.BEGAN) {
+				this.complete(function () {
+					this.fire("transformend", this.transformDetail(NO_DELTA, {canceled: false}));
+				});
+			} else if (!this.count() && this.state === Recognizer.POSSIBLE) {
+				this.fail();
+			}
+			this.starts = this.transform = null;
+		},
+
+		cancel: function (pointer) {
+			if (this.positions[pointer.pointerId]) {
+				this.fail();
+			}
+		},
+
+		getPointerIds: function () {
+			return Object.keys(this.positions).map(Number);
+		},
+
+		reset: function () {
+			if (this.state === Recognizer.BEGAN && this.count()) {
+				this.fire("transformend", this.transformDetail(NO_DELTA, {canceled: true}));
+			}
+			this.positions = {};
+			this.starts = this.transform = null;
+		},
+
+		/**
+		 * @returns Number the number of tracked pointers.
+		 */
+		count: function () {
+			return Object.keys(this.positions).length;
+		},
+
+		/**
+		 * @returns Array the positions {x, y} of the tracked pointers, in the order of their pointerIds.
+		 */
+		points: function () {
+			var positions = this.positions;
+			return Object.keys(positions).map(function (pointerId) {
+				return positions[pointerId];
+			});
+		},
+
+		/**
+		 * @returns Boolean true if a pointer moved beyond the threshold since the transform is possible.
+		 */
+		hasMoved: function () {
+			var starts = this.starts, positions = this.positions, threshold = this.options.threshold;
+			return Object.keys(starts).some(function (pointerId) {
+				return utils.distance(starts[pointerId].x, starts[pointerId].y,
+					positions[pointerId].x, positions[pointerId].y) > threshold;
+			});
+		},
+
+		/**
+		 * @param delta transform since the previous event
+		 * @param props (optional) other properties
+		 * @returns Object the detail of a transform event.
+		 */
+		transformDetail: function (delta, props) {
+			var center = centroid(this.points());
+			return utils.mixin({
+				pointers: this.count(),
+				centerX: center.x,
+				centerY: center.y
+			}, this.transform, delta, props);
+		}
+	});
+
+	/**
+	 * @param points positions {x, y}
+	 * @returns Object the centroid {x, y} of the points.
+	 */
+	function centroid(points) {
+		var x = 0, y = 0;
+		points.forEach(function (point) {
+			x += point.x;
+			y += point.y;
+		});
+		return {x: x / points.length, y: y / points.length};
+	}
+
+	/**
+	 * @param points positions {x, y}
+	 * @param center centroid of the points
+	 * @returns Number the average distance of the points to their centroid.
+	 */
+	function spread(points, center) {
+		return points.reduce(function (sum, point) {
+			return sum + utils.distance(center.x, center.y, point.x, point.y);
+		}, 0) / points.length;
+	}
+
+	/**
+	 * Measure the transform between 2 positions of the same pointers: translation of the centroid, ratio of the
+	 * spreads and average rotation of the pointers around the centroid.
+	 *
+	 * @param previous previous positions {x, y} of the pointers
+	 * @param current current positions {x, y} of the pointers, in the same order
+	 * @returns Object {deltaScale, deltaRotation, deltaX, deltaY}
+	 */
+	function measure(previous, current) {
+		var c1 = centroid(previous), c2 = centroid(current),
+			s1 = spread(previous, c1), s2 = spread(current, c2),
+			rotation = 0, count = 0;
+		current.forEach(function (point, i) {
+			var dx1 = previous[i].x - c1.x, dy1 = previous[i].y - c1.y, dx2 = point.x - c2.x, dy2 = point.y - c2.y;
+			if ((dx1 || dy1) && (dx2 || dy2)) {
+				var angle = (Math.atan2(dy2, dx2) - Math.atan2(dy1, dx1)) * 180 / Math.PI;
+				// normalize in [-180, 180[
+				rotation += ((angle + 540) % 360) - 180;
+				count++;
+			}
+		});
+		return {
+			deltaScale: (s1 && s2) ? s2 / s1 : 1,
+			deltaRotation: count ? rotation / count : 0,
+			deltaX: c2.x - c1.x,
+			deltaY: c2.y - c1.y
+		};
+	}
+
+	return TransformRecognizer;
+});
@@ -0,0 +1,171 @@
+/**
+ * Registry of the active pointers (pointers with at least one button pressed or a contact with the surface).
+ *
+ * The registry listens to the pointer events dispatched in root elements (capture phase), whatever the backend
+ * which generates them (native Pointer Events, mspointer, touch or mouse): a pointer is added on pointerdown,
+ * updated on pointermove and gotpointercapture/lostpointercapture, and removed on pointerup and pointercancel.
+ *
+ * The velocity of each active pointer is estimated from its positions. The velocity of the pointer when it goes
+ * up is set on the pointerup event (velocityX and velocityY in px/ms) before it reaches its target.
+ *
+ * The touch action of a pointer is resolved from the target of its pointerdown the first time the pointer is read.
+ */
+define([
+	"./touchAction",
+	"./utils",
+	"./velocityTracker"
+], function (touchAction, utils, VelocityTracker) {
+	"use strict";
+
+	var pointers = {}, // state of the active pointers, by pointerId
+		velocityTrackers = {}, // velocity trackers of the active pointers, by pointerId
+		downTargets = {}, // targets of pointerdown whose touch action is not resolved yet, by pointerId
+		listeners = {}, // listeners by pointer event type
+		roots = new utils.ElementMap(); // watched root elements
+
+	listeners[utils.events.DOWN] = function (e) {
+		pointers[e.pointerId] = {
+			pointerId: e.pointerId,
+			pointerType: e.pointerType,
+			isPrimary: e.isPrimary,
+			captureTarget: null,
+			touchAction: null, // resolved by the first snapshot of the pointer
+			startTime: new Date().getTime()
+		};
+		velocityTrackers[e.pointerId] = new VelocityTracker();
+		downTargets[e.pointerId] = e.target;
+		update(e);
+	};
+
+	listeners[utils.events.MOVE] = update;
+
+	listeners[utils.events.UP] = function (e) {
+		var velocityTracker = velocityTrackers[e.pointerId];
+		if (velocityTracker) {
+			velocityTracker.add(e.clientX, e.clientY, new Date().getTime());
+			var velocity = velocityTracker.getVelocity();
+			e.velocityX = velocity.x;
+			e.velocityY = velocity.y;
+		}
+		remove(e.pointerId);
+	};
+
+	listeners[utils.events.CANCEL] = function (e) {
+		remove(e.pointerId);
+	};
+
+	listeners[utils.events.GOTCAPTURE] = listeners[utils.events.LOSTCAPTURE] = function (e) {
+		var pointer = pointers[e.pointerId];
+		if (pointer) {
+			pointer.captureTarget = (e.type === utils.events.GOTCAPTURE) ? e.target : null;
+		}
+	};
+
+	/**
+	 * pointer events listener of root elements: when root elements are nested, an event is processed by the
+	 * innermost root element which contains its target.
+	 *
+	 * @param e pointer event
+	 */
+	function handleEvent(e) {
+		if (roots.closest(e.target) === e.currentTarget) {
+			listeners[e.type](e);
+		}
+	}
+
+	/**
+	 * update the position, buttons and target of an active pointer.
+	 *
+	 * @param e pointer event
+	 */
+	function update(e) {
+		var pointer = pointers[e.pointerId];
+		if (pointer) {
+			pointer.clientX = e.clientX;
+			pointer.clientY = e.clientY;
+			pointer.pageX = e.pageX;
+			pointer.pageY = e.pageY;
+			pointer.buttons = e.buttons;
+			pointer.target = e.target;
+			velocityTrackers[e.pointerId].add(e.clientX, e.clientY, new Date().getTime());
+		}
+	}
+
+	/**
+	 * @param pointerId id of a pointer which is no longer active
+	 */
+	function remove(pointerId) {
+		delete pointers[pointerId];
+		delete velocityTrackers[pointerId];
+		delete downTargets[pointerId];
+	}
+
+	/**
+	 * @param pointer state of an active pointer
+	 * @returns Object a copy of the pointer state, with its current velocity
+	 */
+	function snapshot(pointer) {
+		// resolving the touch action computes styles: don't do it on every pointerdown, only when it is read
+		if (pointer.touchAction === null) {
+			pointer.touchAction = touchAction.resolve(downTargets[pointer.pointerId]);
+			delete downTargets[pointer.pointerId];
+		}
+		var velocity = velocityTrackers[pointer.pointerId].getVelocity();
+		return utils.mixin({velocityX: velocity.x, velocityY: velocity.y}, pointer);
+	}
+
+	return {
+		/**
+		 * Start tracking the pointers of a root element.
+		 *
+		 * @param root DOM element or document where pointer events are enabled
+		 */
+		watch: function (root) {
+			roots.set(root, root);
+			Object.keys(listeners).forEach(function (type) {
+				utils.addEventListener(root, type, handleEvent, true);
+			});
+		},
+
+		/**
+		 * Stop tracking the pointers of a root element.
+		 *
+		 * @param root DOM element or document
+		 */
+		unwatch: function (root) {
+			Object.keys(listeners).forEach(function (type) {
+				utils.removeEventListener(root, type, handleEvent, true);
+			});
+			roots.remove(root);
+			Object.keys(pointers).forEach(function (pointerId) {
+				var target = pointers[pointerId].target;
+				// pointers of a nested root element are still tracked by the outer root element
+				if (utils.contains(root, target) && !roots.closest(target)) {
+					remove(pointerId);
+				}
+			});
+		},
+
+		/**
+		 * @returns Array snapshots of the active pointers, sorted by pointerId: {pointerId, pointerType, isPrimary,
+		 * clientX, clientY, pageX, pageY, buttons, target, captureTarget, touchAction, startTime, velocityX,
+		 * velocityY}. The velocity is in px/ms.
+		 */
+		getActivePointers: function () {
+			return Object.keys(pointers).map(function (pointerId) {
+				return snapshot(pointers[pointerId]);
+			}).sort(function (p1, p2) {
+				return p1.pointerId - p2.pointerId;
+			});
+		},
+
+		/**
+		 * @param pointerId pointer id
+		 * @returns Object a snapshot of the active pointer (see getActivePointers()), or null if the pointer is not
+		 * active.
+		 */
+		getPointer: function (pointerId) {
+			return pointers[pointerId] ? snapshot(pointers[pointerId]) : null;
+		}
+	};
+});
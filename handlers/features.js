@@ -6,11 +6,18 @@ define([
 ], function (has) {
 	if (typeof document !== "undefined") {
 		has.add("touch-events", "ontouchstart" in document); // UA supports Touch Events
-		has.add("pointer-events", "onpointerdown" in document); // UA supports Pointer Events
+		// UA supports Pointer Events: the onpointer* properties defined by another instance of dpointer don't count
+		// (see utils.defineEventHandlerProperties)
+		has.add("pointer-events", "onpointerdown" in document && !document._dpointerEventHandlerProperties);
 		has.add("mspointer-events", "onmspointerdown" in document); // UA supports Pointer Events (IE10+IE11 preview)
+		has.add("mutation-observer", typeof MutationObserver !== "undefined"); // DOM4 MutationObserver
 		has.add("touch-device", /(mobile)|(android)/i.test(navigator.userAgent)); // mobile device
-		has.add("css-touch-action", "touchAction" in document.body.style);// touch-action CSS
-		has.add("css-ms-touch-action", "msTouchAction" in document.body.style);// -ms-touch-action CSS
+		// maximum number of simultaneous touch contacts: touch events don't tell, at least one touch is supported.
+		has.add("max-touch-points", navigator.maxTouchPoints || navigator.msMaxTouchPoints ||
+			(has("touch-events") ? 1 : 0));
+		// use documentElement: document.body may not exist yet when the module is loaded from the document head
+		has.add("css-touch-action", "touchAction" in document.documentElement.style);// touch-action CSS
+		has.add("css-ms-touch-action", "msTouchAction" in document.documentElement.style);// -ms-touch-action CSS
 	}
 	return has;
 });
\ No newline at end of file
@@ -5,8 +5,10 @@
  * http://www.w3.org/TR/DOM-Level-3-Events/#events-mouseevent-event-order
  */
 define([
+	"./features",
+	"./pointerCapture",
 	"./utils"
-], function (utils) {
+], function (has, PointerCapture, utils) {
 	"use strict";
 
 	var MouseEvents = {
@@ -14,9 +16,34 @@ define([
 			mousemove: "mousemove",
 			mouseout: "mouseout",
 			mouseover: "mouseover",
-			mouseup: "mouseup"
+			mouseup: "mouseup",
+			scroll: "scroll"
 		},
-		isScrolling = false; // indicates if the mouse is scrolling an element with CSS overflow=auto|scroll.
+		TouchEvents = ["touchstart", "touchmove", "touchend", "touchcancel"],
+		defaultOptions = {
+			ghostMouseDelay: 2500 // delay in ms after a touch during which compatibility mouse events are ignored
+		},
+		GHOST_MOUSE_DISTANCE = 25, // max distance in px between a touch and a compatibility mouse event
+		trackers = new utils.ElementMap(); // mouse tracker of each root element where handlers are registered
+
+	/**
+	 * touch events handler: remember the last touch to recognize the compatibility mouse events which follow.
+	 *
+	 * @param e touch event
+	 */
+	function trackTouch(e) {
+		trackers.get(e.currentTarget).updateTouch(e);
+	}
+
+	/**
+	 * @param e mouse event
+	 * @returns MouseTracker the tracker of the root element which received the event, or null if the target is in a
+	 * nested root element: the handlers of the innermost root element process the event.
+	 */
+	function getTracker(e) {
+		var tracker = trackers.get(e.currentTarget);
+		return (trackers.closest(e.target) === tracker) ? tracker : null;
+	}
 
 	/**
 	 * mousedown event handler.
@@ -24,15 +51,31 @@ define([
 	 * @param e mouse event
 	 */
 	function mousedown(e) {
-		MouseTracker.update(e);
-		utils.dispatchEvent(e.target, createPointer(utils.events.DOWN, e, {}));
+		var tracker = getTracker(e);
+		if (!tracker || tracker.isCompatibilityEvent(e)) {
+			return;
+		}
+		// buttons which were already pressed
+		var chord = tracker.updateButtons(e) & ~buttonToButtons(e.button);
+		if (tracker.isCanceled) {
+			if (chord) {
+				return; // absorb mouse events until the buttons are released
+			}
+			tracker.isCanceled = false;
+		}
+		tracker.update(e);
+		// chorded buttons: pressing a button while another one is pressed fires a pointermove
+		// http://www.w3.org/TR/pointerevents/#chorded-button-interactions
+		utils.dispatchEvent(tracker.processCapture(e),
+			createPointer(tracker, chord ? utils.events.MOVE : utils.events.DOWN, e, {}));
+		if (chord) {
+			return;
+		}
 		// Firefox continues to send mouse event while dragging the scrollbar:
-		// if overflow CSS style is set at target element, fire a PointerCancel,
+		// if the mouse is pressed on a scrollbar, fire a PointerCancel,
 		// then track and absorb subsequent mouse events until a mouseup occurs
-		var overflow = (window.getComputedStyle(e.target).overflow);
-		if (overflow && (overflow === "auto" || overflow === "scroll")) {
-			isScrolling = true;
-			utils.dispatchEvent(e.target, createPointer(utils.events.CANCEL, e, {}));
+		if (isInScrollbar(e.target, e)) {
+			tracker.cancel();
 		}
 	}
 
@@ -42,11 +85,16 @@ define([
 	 * @param e mouse event
 	 */
 	function mousemove(e) {
-		if (isScrolling) {
+		var tracker = getTracker(e);
+		if (!tracker || tracker.isCompatibilityEvent(e)) {
 			return;
 		}
-		utils.dispatchEvent(MouseTracker.identifyTarget(e.target), createPointer(utils.events.MOVE, e, {}));
-		MouseTracker.update(e);
+		if (tracker.updateButtons(e) && tracker.isCanceled) {
+			return; // absorb mouse events until the buttons are released
+		}
+		tracker.isCanceled = false;
+		utils.dispatchEvent(tracker.processCapture(e), createPointer(tracker, utils.events.MOVE, e, {}));
+		tracker.update(e);
 	}
 
 	/**
@@ -55,16 +103,21 @@ define([
 	 * @param e mouse event
 	 */
 	function mouseout(e) {
-		if (isScrolling || MouseTracker.hasCapture()) {
+		var tracker = getTracker(e);
+		if (!tracker || tracker.isCompatibilityEvent(e)) {
+			return;
+		}
+		tracker.updateButtons(e);
+		if (tracker.isCanceled || tracker.hasCapture()) {
 			return;
 		}
 		if (e.relatedTarget) {
-			utils.dispatchEvent(e.target, createPointer(utils.events.OUT, e, {}));
+			utils.dispatchEvent(e.target, createPointer(tracker, utils.events.OUT, e, {}));
 			// generate pointerleave events
 			utils.dispatchLeaveEvents(e.target, e.relatedTarget,
-				createPointer(utils.events.LEAVE, e));
+				createPointer(tracker, utils.events.LEAVE, e));
 		}
-		MouseTracker.update(e);
+		tracker.update(e);
 	}
 
 	/**
@@ -73,16 +126,21 @@ define([
 	 * @param e mouse event
 	 */
 	function mouseover(e) {
-		if (isScrolling || MouseTracker.hasCapture()) {
+		var tracker = getTracker(e);
+		if (!tracker || tracker.isCompatibilityEvent(e)) {
+			return;
+		}
+		tracker.updateButtons(e);
+		if (tracker.isCanceled || tracker.hasCapture()) {
 			return;
 		}
 		if (e.relatedTarget) {
-			utils.dispatchEvent(e.target, createPointer(utils.events.OVER, e, {}));
+			utils.dispatchEvent(e.target, createPointer(tracker, utils.events.OVER, e, {}));
 			// generate pointerenter events
 			utils.dispatchEnterEvents(e.target, e.relatedTarget,
-				createPointer(utils.events.ENTER, e));
+				createPointer(tracker, utils.events.ENTER, e));
 		}
-		MouseTracker.update(e);
+		tracker.update(e);
 	}
 
 	/**
@@ -91,24 +149,115 @@ define([
 	 * @param e mouse event
 	 */
 	function mouseup(e) {
-		if (isScrolling) {
-			isScrolling = false;
-		} else {
-			utils.dispatchEvent(MouseTracker.identifyTarget(e.target), createPointer(utils.events.UP, e, {}));
-			MouseTracker.implicitReleaseCapture();
-			MouseTracker.update(e);
+		var tracker = getTracker(e);
+		if (!tracker || tracker.isCompatibilityEvent(e)) {
+			return;
+		}
+		// buttons which are still pressed
+		var chord = tracker.updateButtons(e);
+		if (tracker.isCanceled) {
+			tracker.isCanceled = !!chord;
+			return;
 		}
+		// chorded buttons: releasing a button while another one is still pressed fires a pointermove
+		utils.dispatchEvent(tracker.processCapture(e),
+			createPointer(tracker, chord ? utils.events.MOVE : utils.events.UP, e, {}));
+		tracker.update(e);
+		if (!chord) {
+			tracker.implicitReleaseCapture();
+		}
+	}
+
+	/**
+	 * scroll event handler: an element scrolls while the middle button is pressed (autoscroll). The user agent
+	 * handles the mouse, fire a PointerCancel unless the pointer is captured.
+	 *
+	 * @param e scroll event
+	 */
+	function scroll(e) {
+		trackers.get(e.currentTarget).cancelOnScroll(e.target);
+	}
+
+	/**
+	 * Hit test of the scrollbars of an element. The scrollbar gutter is the part of the padding box which is not in
+	 * the client box: its size is offsetWidth - clientWidth - borders (0 with overlay scrollbars). The vertical
+	 * scrollbar is on the left side when direction is rtl.
+	 *
+	 * @param element DOM element under the mouse
+	 * @param mouseEvent mouse event
+	 * @returns Boolean true if the mouse event is located on a scrollbar of the element.
+	 */
+	function isInScrollbar(element, mouseEvent) {
+		if (!element || element.nodeType !== 1) {
+			return false;
+		}
+		if (element === element.ownerDocument.documentElement) {
+			return isInViewportScrollbar(element, mouseEvent);
+		}
+		var style = window.getComputedStyle(element),
+			rect = element.getBoundingClientRect(),
+			borderLeft = borderWidth(style, "Left"),
+			borderRight = borderWidth(style, "Right"),
+			borderBottom = borderWidth(style, "Bottom"),
+			scrollbarWidth = element.offsetWidth - element.clientWidth - borderLeft - borderRight,
+			scrollbarHeight = element.offsetHeight - element.clientHeight - borderWidth(style, "Top") - borderBottom,
+			scrollbarLeft = (style.direction === "rtl") ? rect.left + borderLeft :
+				rect.right - borderRight - scrollbarWidth;
+		return (utils.isScrollable(style.overflowY) && isInRange(mouseEvent.clientX, scrollbarLeft, scrollbarWidth)) ||
+			(utils.isScrollable(style.overflowX) &&
+				isInRange(mouseEvent.clientY, rect.bottom - borderBottom - scrollbarHeight, scrollbarHeight));
+	}
+
+	/**
+	 * @param style computed style of an element
+	 * @param side "Left", "Right", "Top" or "Bottom"
+	 * @returns Number the width in px of the border of the element on this side.
+	 */
+	function borderWidth(style, side) {
+		return parseFloat(style["border" + side + "Width"]) || 0;
+	}
+
+	/**
+	 * @param value coordinate
+	 * @param start start of the range
+	 * @param size size of the range
+	 * @returns Boolean true if the range is not empty and contains the coordinate.
+	 */
+	function isInRange(value, start, size) {
+		return size > 0 && value >= start && value < start + size;
+	}
+
+	/**
+	 * Hit test of the scrollbars of the viewport: the document element is the target of mouse events on the
+	 * scrollbars of the document, whose client box is the viewport without scrollbars.
+	 *
+	 * @param documentElement the document element
+	 * @param mouseEvent mouse event
+	 * @returns Boolean true if the mouse event is located on a scrollbar of the viewport.
+	 */
+	function isInViewportScrollbar(documentElement, mouseEvent) {
+		var view = documentElement.ownerDocument.defaultView || window,
+			scrollbarWidth = view.innerWidth - documentElement.clientWidth;
+		if (view.getComputedStyle(documentElement).direction === "rtl") {
+			if (mouseEvent.clientX < scrollbarWidth) {
+				return true;
+			}
+		} else if (mouseEvent.clientX >= documentElement.clientWidth) {
+			return true;
+		}
+		return mouseEvent.clientY >= documentElement.clientHeight;
 	}
 
 	/**
 	 * Create a synthetic pointer from a mouse event.
 	 *
+	 * @param tracker the mouse tracker of the root element which received the mouse event.
 	 * @param pointerType pointer event type name ("pointerdown", "pointerup"...)
 	 * @param mouseEvent the underlying mouse event which contributes to the creation of the pointer event.
 	 * @param props event properties (optional)
 	 * @returns {utils.Pointer}
 	 */
-	function createPointer(pointerType, mouseEvent, props) {
+	function createPointer(tracker, pointerType, mouseEvent, props) {
 		props = props || {};
 		// Mouse Events properties
 		props.screenX = mouseEvent.screenX;
@@ -124,8 +273,7 @@ define([
 		// normalize button/buttons values
 		// http://www.w3.org/TR/pointerevents/#chorded-button-interactions
 		var buttonValue = mouseEvent.button,
-			buttonsValue = (mouseEvent.buttons !== undefined) ? mouseEvent.buttons :
-				utils.which2buttons(mouseEvent.which);
+			buttonsValue = tracker.buttons;
 
 		if (mouseEvent.type === "mousemove") {
 			buttonValue = -1;
@@ -133,10 +281,9 @@ define([
 		props.button = buttonValue;
 		props.buttons = buttonsValue;
 		props.which = buttonValue + 1;
-		if (MouseTracker.hasCapture()) {  // Pointer events Spec §10.1: related target must be null on pointer capture
-			props.relatedTarget = null;
-		} else {
-			props.relatedTarget = mouseEvent.relatedTarget;
+		if (!("relatedTarget" in props)) {
+			// Pointer events Spec §10.1: related target must be null on pointer capture
+			props.relatedTarget = tracker.hasCapture() ? null : mouseEvent.relatedTarget;
 		}
 		// Pointer Events properties
 		props.pointerId = 1;
@@ -145,72 +292,175 @@ define([
 		return new utils.Pointer(pointerType, mouseEvent, props);
 	}
 
-	var MouseTracker = {
-		_lastNativeEvent: null,
-		_captureTarget: null,
-		register: function () {
-		},
+	/**
+	 * @param mouseEvent mouse event
+	 * @returns Number the buttons pressed during the mouse event.
+	 */
+	function getButtons(mouseEvent) {
+		return (mouseEvent.buttons !== undefined) ? mouseEvent.buttons : utils.which2buttons(mouseEvent.which);
+	}
+
+	/**
+	 * @param button the button property of a mouse event
+	 * @returns Number the bit of the button in the buttons property (left 1, right 2, middle 4...).
+	 */
+	function buttonToButtons(button) {
+		return utils.which2buttons(button + 1);
+	}
+
+	/**
+	 * Keeps track of the mouse state (last native event, buttons, capture) for a root element.
+	 */
+	var MouseTracker = function (options) {
+		this.options = options;
+		this._lastNativeEvent = null;
+		this._lastTouchTime = 0;
+		this._lastTouches = []; // positions {x, y} of the last touches
+		this.capture = new PointerCapture();
+		this.buttons = 0; // buttons currently pressed
+		// true when the pointer has been canceled (scrolling an element with CSS overflow=auto|scroll, window
+		// blur...): mouse events are absorbed until the buttons are released.
+		this.isCanceled = false;
+	};
+
+	MouseTracker.prototype = {
 		update: function (mouseEvent) {
 			this._lastNativeEvent = mouseEvent;
 		},
+		// update the buttons currently pressed from a mouse event, returns the buttons.
+		updateButtons: function (mouseEvent) {
+			var buttons = getButtons(mouseEvent);
+			// the buttons property may be missing or not include the button which changed (older browsers)
+			if (mouseEvent.type === MouseEvents.mousedown) {
+				buttons = ((mouseEvent.buttons !== undefined) ? buttons : this.buttons) |
+					buttonToButtons(mouseEvent.button);
+			} else if (mouseEvent.type === MouseEvents.mouseup) {
+				buttons = ((mouseEvent.buttons !== undefined) ? buttons : this.buttons) &
+					~buttonToButtons(mouseEvent.button);
+			}
+			this.buttons = buttons;
+			return buttons;
+		},
+		updateTouch: function (touchEvent) {
+			this._lastTouchTime = new Date().getTime();
+			this._lastTouches = [];
+			for (var l = touchEvent.changedTouches.length, i = 0; i < l; i++) {
+				var touch = touchEvent.changedTouches.item(i);
+				this._lastTouches.push({x: touch.clientX, y: touch.clientY});
+			}
+		},
+		// true if the mouse event is a compatibility mouse event fired by the browser after a touch.
+		isCompatibilityEvent: function (mouseEvent) {
+			if (mouseEvent.sourceCapabilities) {
+				// the browser tells whether the event comes from a touch or from a mouse
+				return mouseEvent.sourceCapabilities.firesTouchEvents;
+			}
+			if (new Date().getTime() - this._lastTouchTime > this.options.ghostMouseDelay) {
+				return false;
+			}
+			return this._lastTouches.some(function (position) {
+				return Math.abs(mouseEvent.clientX - position.x) <= GHOST_MOUSE_DISTANCE &&
+					Math.abs(mouseEvent.clientY - position.y) <= GHOST_MOUSE_DISTANCE;
+			});
+		},
 		setCapture: function (targetElement) {
 			// 1. check if pointerId is active, otw throw DOMException with the name InvalidPointerId.
 			if (!this._lastNativeEvent) {
-				throw "InvalidPointerId";
+				throw utils.createDOMException("InvalidPointerId", "Mouse pointer is not active");
 			}
 			// 2. at least one button must be pressed
-			if (this._lastNativeEvent.buttons === 0) {
+			if (!this.buttons) {
 				return false;
 			}
-			// 3. set PointerCapture=true
-			this._captureTarget = targetElement;
-			// 4. Fire a gotpointercapture event at the targetElement
-			utils.dispatchEvent(this._lastNativeEvent.target,
-				createPointer(utils.events.GOTCAPTURE, this._lastNativeEvent, {}));
+			// 3. set the pending pointer capture target: gotpointercapture is fired before the next pointer event.
+			this.capture.set(targetElement);
 			return true;
 		},
-		hasCapture: function () {
-			return !!(this._captureTarget);
+		// with targetElement: true if targetElement is the (pending) capture target.
+		// without targetElement: true if pointer events are currently targeted at a capture target.
+		hasCapture: function (targetElement) {
+			return targetElement ? this.capture.has(targetElement) : this.capture.isCaptured();
 		},
 		identifyTarget: function (nonCapturedElement) {
-			return (this._captureTarget) || nonCapturedElement;
+			return this.capture.identifyTarget(nonCapturedElement);
+		},
+		// process pending pointer capture before firing a pointer event, returns the target of the pointer event.
+		processCapture: function (mouseEvent) {
+			var tracker = this;
+			return this.capture.process(function (pointerType, relatedTarget) {
+				return createPointer(tracker, pointerType, mouseEvent, {relatedTarget: relatedTarget});
+			}, mouseEvent.target);
 		},
 		releaseCapture: function (targetElement, implicit) {
 			// 1. check if pointerId is active, otw throw DOMException with the name InvalidPointerId.
 			if (!this._lastNativeEvent) {
-				throw "InvalidPointerId";
+				throw utils.createDOMException("InvalidPointerId", "Mouse pointer is not active");
 			}
 			// 2. if pointer capture not set at targetElement, return
-			if (!implicit && (this._captureTarget !== targetElement)) {
+			// 3. clear the pending pointer capture target: lostpointercapture is fired before the next pointer event.
+			return this.capture.release(implicit ? null : targetElement);
+		},
+		// if a button is pressed: fire pointercancel, release capture and absorb mouse events until the buttons are
+		// released. Returns true if the pointer has been canceled.
+		cancel: function () {
+			var mouseEvent = this._lastNativeEvent;
+			if (!mouseEvent || this.isCanceled || !this.buttons) {
 				return false;
 			}
-			// 3. release capture
-			if (this._captureTarget) {
-				// 4. Fire a lostpointercapture event at the targetElement
-				utils.dispatchEvent(this._captureTarget,
-					createPointer(utils.events.LOSTCAPTURE, this._lastNativeEvent, {}));
-				this._captureTarget = null;
-			}
+			this.isCanceled = true;
+			utils.dispatchEvent(this.identifyTarget(mouseEvent.target),
+				createPointer(this, utils.events.CANCEL, mouseEvent, {}));
+			this.implicitReleaseCapture();
 			return true;
 		},
+		// cancel the pointer when an element which contains the target of the mouse scrolls while the middle button
+		// is pressed (autoscroll), unless the pointer is captured. Scrolls while other buttons are pressed are not
+		// started by the mouse: the wheel, the keyboard or a script (for instance the auto-scroll of a drag).
+		cancelOnScroll: function (scrollTarget) {
+			var mouseEvent = this._lastNativeEvent;
+			if (mouseEvent && (this.buttons & 4) && !this.capture.isCaptured() && !this.capture.pendingTarget &&
+				utils.contains(scrollTarget, mouseEvent.target)) {
+				this.cancel();
+			}
+		},
+		// after pointerup or pointercancel: release capture and fire lostpointercapture immediately.
 		implicitReleaseCapture: function () {
-			return this.releaseCapture(null, true);
+			this.releaseCapture(null, true);
+			this.processCapture(this._lastNativeEvent);
 		}
 	};
 
+	/**
+	 * returns the tracker of the innermost root element which contains the element.
+	 *
+	 * @param element DOM element
+	 * @returns MouseTracker the tracker, or null if element is not in a root element.
+	 */
+	function findTracker(element) {
+		return trackers.closest(element) || null;
+	}
+
 	return {
 		/**
 		 * register mouse events handlers.
 		 *
 		 * @param targetElement target element for mouse event listeners
+		 * @param options (optional) tuning options (ghostMouseDelay)
 		 */
-		registerHandlers: function (targetElement) {
+		registerHandlers: function (targetElement, options) {
 			targetElement = targetElement || window.document;
+			trackers.set(targetElement, new MouseTracker(utils.mixin({}, defaultOptions, options)));
+			if (has("touch-events")) {
+				TouchEvents.forEach(function (type) {
+					utils.addEventListener(targetElement, type, trackTouch, true);
+				});
+			}
 			utils.addEventListener(targetElement, MouseEvents.mousedown, mousedown, true);
 			utils.addEventListener(targetElement, MouseEvents.mousemove, mousemove, true);
 			utils.addEventListener(targetElement, MouseEvents.mouseout, mouseout, true);
 			utils.addEventListener(targetElement, MouseEvents.mouseover, mouseover, true);
 			utils.addEventListener(targetElement, MouseEvents.mouseup, mouseup, true);
+			utils.addEventListener(targetElement, MouseEvents.scroll, scroll, true);
 		},
 
 		/**
@@ -223,6 +473,24 @@ define([
 			utils.removeEventListener(targetElement, MouseEvents.mouseout, mouseout, true);
 			utils.removeEventListener(targetElement, MouseEvents.mouseover, mouseover, true);
 			utils.removeEventListener(targetElement, MouseEvents.mouseup, mouseup, true);
+			utils.removeEventListener(targetElement, MouseEvents.scroll, scroll, true);
+			TouchEvents.forEach(function (type) {
+				utils.removeEventListener(targetElement, type, trackTouch, true);
+			});
+			trackers.remove(targetElement);
+		},
+
+		/**
+		 * cancel the mouse pointer of a root element if a button is pressed: fire pointercancel and
+		 * lostpointercapture, and reset the mouse state.
+		 *
+		 * @param targetElement target element for mouse event listeners
+		 */
+		cancelPointers: function (targetElement) {
+			var tracker = trackers.get(targetElement);
+			if (tracker) {
+				tracker.cancel();
+			}
 		},
 
 		/**
@@ -232,7 +500,11 @@ define([
 		 * @returns true if pointer is captured.
 		 */
 		setPointerCapture: function (targetElement) {
-			return MouseTracker.setCapture(targetElement);
+			var tracker = findTracker(targetElement);
+			if (!tracker) {
+				throw utils.createDOMException("InvalidPointerId", "Mouse pointer is not active");
+			}
+			return tracker.setCapture(targetElement);
 		},
 
 		/**
@@ -242,7 +514,22 @@ define([
 		 * @returns true is pointer is released.
 		 */
 		releasePointerCapture: function (targetElement) {
-			return MouseTracker.releaseCapture(targetElement, false);
+			var tracker = findTracker(targetElement);
+			if (!tracker) {
+				throw utils.createDOMException("InvalidPointerId", "Mouse pointer is not active");
+			}
+			return tracker.releaseCapture(targetElement, false);
+		},
+
+		/**
+		 * check pointer capture.
+		 *
+		 * @param targetElement DOM element
+		 * @returns true if the element has the capture of the mouse pointer.
+		 */
+		hasPointerCapture: function (targetElement) {
+			var tracker = findTracker(targetElement);
+			return !!tracker && tracker.hasCapture(targetElement);
 		}
 	};
 });
\ No newline at end of file
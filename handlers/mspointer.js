@@ -4,20 +4,40 @@
  * http://msdn.microsoft.com/en-us/library/windows/apps/hh441233.aspx
  */
 define([
+	"./pointerIds",
 	"./utils"
-], function (utils) {
+], function (pointerIds, utils) {
 	"use strict";
 
-	var msPointerEvents = {
-		MSPointerDown: "MSPointerDown",
-		MSPointerMove: "MSPointerMove",
-		MSPointerUp: "MSPointerUp",
-		MSPointerOut: "MSPointerOut",
-		MSPointerOver: "MSPointerOver",
-		MSPointerCancel: "MSPointerCancel",
-		MSGotPointerCapture: "MSGotPointerCapture",
-		MSLostPointerCapture: "MSLostPointerCapture"
-	};
+	var listeners = { // MS Pointer Event handlers, by event type
+			MSPointerDown: msPointerDown,
+			MSPointerMove: msPointerMove,
+			MSPointerUp: msPointerUp,
+			MSPointerOut: msPointerOut,
+			MSPointerOver: msPointerOver,
+			MSPointerCancel: msPointerCancel,
+			MSGotPointerCapture: msGotPointerCapture,
+			MSLostPointerCapture: msLostPointerCapture
+		},
+		roots = new utils.ElementMap(), // root elements where handlers are registered
+		capturedPointers = {}, // pointerIds of the captured pointers
+		// captured pointers removed by MSPointerUp (false) or MSPointerCancel (true), until lostpointercapture
+		pendingRemovals = {},
+		// events which don't allocate a pointerId: they are fired for a pointer which was added by a previous event
+		boundaryAndCaptureEvents = [utils.events.OUT, utils.events.LEAVE, utils.events.GOTCAPTURE,
+			utils.events.LOSTCAPTURE];
+
+	/**
+	 * MS Pointer Events listener of root elements: when root elements are nested, an event is processed by the
+	 * innermost root element which contains its target.
+	 *
+	 * @param e event
+	 */
+	function handleEvent(e) {
+		if (roots.closest(e.target) === e.currentTarget) {
+			listeners[e.type](e);
+		}
+	}
 
 	/**
 	 * MSPointerDown event handler.
@@ -44,6 +64,7 @@ define([
 	 */
 	function msPointerUp(e) {
 		utils.dispatchEvent(e.target, createPointer(utils.events.UP, e, {}));
+		removePointer(e, false);
 	}
 
 	/**
@@ -52,6 +73,21 @@ define([
 	 * @param e event
 	 */
 	function msPointerOut(e) {
+		if (getPointerId(e) === undefined) {
+			return; // pointer already removed after MSPointerUp or MSPointerCancel
+		}
+		firePointerOut(e);
+		if (!e.relatedTarget) {
+			releasePointerId(e); // the pointer leaves (pen out of range)
+		}
+	}
+
+	/**
+	 * fire pointerout and pointerleave events.
+	 *
+	 * @param e MS Pointer Event
+	 */
+	function firePointerOut(e) {
 		utils.dispatchEvent(e.target, createPointer(utils.events.OUT, e, {}));
 		// generate  pointerleave events
 		utils.dispatchLeaveEvents(e.target, e.relatedTarget, createPointer(utils.events.LEAVE, e));
@@ -75,6 +111,40 @@ define([
 	 */
 	function msPointerCancel(e) {
 		utils.dispatchEvent(e.target, createPointer(utils.events.CANCEL, e, {}));
+		removePointer(e, true);
+	}
+
+	/**
+	 * remove a pointer after MSPointerUp or MSPointerCancel: a touch is removed, and the pointerId of a canceled
+	 * pointer is released. The removal of a captured pointer waits for its lostpointercapture event, which is fired
+	 * after pointerup or pointercancel: the pointerId remains valid for this event.
+	 *
+	 * @param e MS Pointer Event
+	 * @param canceled true for MSPointerCancel
+	 */
+	function removePointer(e, canceled) {
+		var pointerId = getPointerId(e);
+		if (capturedPointers[pointerId]) {
+			pendingRemovals[pointerId] = canceled;
+		} else if (!removeTouch(e) && canceled) {
+			releasePointerId(e);
+		}
+	}
+
+	/**
+	 * Touch contacts don't hover: when a contact is removed (up or cancel), fire pointerout and pointerleave and
+	 * release its pointerId without waiting for a MSPointerOut, which may not be fired.
+	 *
+	 * @param e MS Pointer Event
+	 * @returns Boolean true if the event is a touch event.
+	 */
+	function removeTouch(e) {
+		if (normalizePointerType(e.pointerType) !== "touch") {
+			return false;
+		}
+		firePointerOut(e);
+		releasePointerId(e);
+		return true;
 	}
 
 	/**
@@ -83,7 +153,11 @@ define([
 	 * @param e event
 	 */
 	function msGotPointerCapture(e) {
-		utils.dispatchEvent(e.target, createPointer(utils.events.GOTCAPTURE, e, {}));
+		var pointerId = getPointerId(e);
+		if (pointerId !== undefined) {
+			capturedPointers[pointerId] = true;
+			utils.dispatchEvent(e.target, createPointer(utils.events.GOTCAPTURE, e, {}));
+		}
 	}
 
 	/**
@@ -92,7 +166,17 @@ define([
 	 * @param e event
 	 */
 	function msLostPointerCapture(e) {
+		var pointerId = getPointerId(e);
+		if (pointerId === undefined) {
+			return;
+		}
+		delete capturedPointers[pointerId];
 		utils.dispatchEvent(e.target, createPointer(utils.events.LOSTCAPTURE, e, {}));
+		if (pointerId in pendingRemovals) {
+			var canceled = pendingRemovals[pointerId];
+			delete pendingRemovals[pointerId];
+			removePointer(e, canceled);
+		}
 	}
 
 	/**
@@ -119,13 +203,15 @@ define([
 		props.buttons = msPointerEvent.buttons;
 		props.relatedTarget = msPointerEvent.relatedTarget;
 		// Pointer Events properties
-		props.pointerId = msPointerEvent.pointerId;
 		props.width = msPointerEvent.width;
 		props.height = msPointerEvent.height;
 		props.pressure = msPointerEvent.pressure;
 		props.tiltX = msPointerEvent.tiltX;
 		props.tiltY = msPointerEvent.tiltY;
 		props.pointerType = normalizePointerType(msPointerEvent.pointerType);
+		props.pointerId = (boundaryAndCaptureEvents.indexOf(pointerType) !== -1) ?
+			pointerIds.get(props.pointerType, msPointerEvent.pointerId) :
+			pointerIds.allocate(props.pointerType, msPointerEvent.pointerId);
 		props.hwTimestamp = msPointerEvent.hwTimestamp;
 		props.isPrimary = msPointerEvent.isPrimary;
 		// fix wrong button value on IE10 and IE11 preview
@@ -135,6 +221,23 @@ define([
 		return new utils.Pointer(pointerType, msPointerEvent, props);
 	}
 
+	/**
+	 * release the pointerId allocated for the pointer of a MS Pointer Event.
+	 *
+	 * @param msPointerEvent MS Pointer Event
+	 */
+	function releasePointerId(msPointerEvent) {
+		pointerIds.release(getPointerId(msPointerEvent));
+	}
+
+	/**
+	 * @param msPointerEvent MS Pointer Event
+	 * @returns Number the pointerId allocated for the pointer of the event, or undefined if the pointer is not active.
+	 */
+	function getPointerId(msPointerEvent) {
+		return pointerIds.get(normalizePointerType(msPointerEvent.pointerType), msPointerEvent.pointerId);
+	}
+
 	/**
 	 * for IE10 and IE11 preview.
 	 * http://msdn.microsoft.com/en-us/library/ie/dn304886%28v=vs.85%29.aspx
@@ -163,14 +266,10 @@ define([
 		 */
 		registerHandlers: function (targetElement) {
 			targetElement = targetElement || window.document;
-			utils.addEventListener(targetElement, msPointerEvents.MSPointerDown, msPointerDown, true);
-			utils.addEventListener(targetElement, msPointerEvents.MSPointerMove, msPointerMove, true);
-			utils.addEventListener(targetElement, msPointerEvents.MSPointerUp, msPointerUp, true);
-			utils.addEventListener(targetElement, msPointerEvents.MSPointerOut, msPointerOut, true);
-			utils.addEventListener(targetElement, msPointerEvents.MSPointerOver, msPointerOver, true);
-			utils.addEventListener(targetElement, msPointerEvents.MSPointerCancel, msPointerCancel, true);
-			utils.addEventListener(targetElement, msPointerEvents.MSGotPointerCapture, msGotPointerCapture, true);
-			utils.addEventListener(targetElement, msPointerEvents.MSLostPointerCapture, msLostPointerCapture, true);
+			roots.set(targetElement, targetElement);
+			Object.keys(listeners).forEach(function (type) {
+				utils.addEventListener(targetElement, type, handleEvent, true);
+			});
 		},
 
 		/**
@@ -179,14 +278,10 @@ define([
 		 * @param targetElement target element for event listeners
 		 */
 		deregisterHandlers: function (targetElement) {
-			utils.removeEventListener(targetElement, msPointerEvents.MSPointerDown, msPointerDown, true);
-			utils.removeEventListener(targetElement, msPointerEvents.MSPointerMove, msPointerMove, true);
-			utils.removeEventListener(targetElement, msPointerEvents.MSPointerUp, msPointerUp, true);
-			utils.removeEventListener(targetElement, msPointerEvents.MSPointerOut, msPointerOut, true);
-			utils.removeEventListener(targetElement, msPointerEvents.MSPointerOver, msPointerOver, true);
-			utils.removeEventListener(targetElement, msPointerEvents.MSPointerCancel, msPointerCancel, true);
-			utils.removeEventListener(targetElement, msPointerEvents.MSGotPointerCapture, msGotPointerCapture, true);
-			utils.removeEventListener(targetElement, msPointerEvents.MSLostPointerCapture, msLostPointerCapture, true);
+			Object.keys(listeners).forEach(function (type) {
+				utils.removeEventListener(targetElement, type, handleEvent, true);
+			});
+			roots.remove(targetElement);
 		}
 	};
 });
\ No newline at end of file
@@ -0,0 +1,113 @@
+/**
+ * Pointer capture state of a pointer, shared by the mouse and touch handlers.
+ *
+ * http://www.w3.org/TR/pointerevents/#pointer-capture
+ * setPointerCapture/releasePointerCapture only set the pending pointer capture target override. The pending
+ * capture is processed before the next pointer event is fired for the pointer: lostpointercapture is fired at the
+ * former capture target, gotpointercapture at the new capture target, then boundary events
+ * (pointerout/pointerleave and pointerover/pointerenter) are fired when the target of the pointer changes.
+ */
+define([
+	"./utils"
+], function (utils) {
+	"use strict";
+
+	var PointerCapture = function () {
+		this.target = null; // pointer capture target override
+		this.pendingTarget = null; // pending pointer capture target override
+	};
+
+	PointerCapture.prototype = {
+		/**
+		 * Set the pending pointer capture target override.
+		 *
+		 * @param targetElement DOM element
+		 */
+		set: function (targetElement) {
+			this.pendingTarget = targetElement;
+		},
+
+		/**
+		 * Clear the pending pointer capture target override.
+		 *
+		 * @param targetElement (optional) DOM element: capture is released only if it is the pending capture target
+		 * @returns Boolean false if targetElement is not the pending capture target.
+		 */
+		release: function (targetElement) {
+			if (targetElement && targetElement !== this.pendingTarget) {
+				return false;
+			}
+			this.pendingTarget = null;
+			return true;
+		},
+
+		/**
+		 * @param targetElement DOM element
+		 * @returns Boolean true if targetElement is the pending capture target (as hasPointerCapture()).
+		 */
+		has: function (targetElement) {
+			return !!targetElement && this.pendingTarget === targetElement;
+		},
+
+		/**
+		 * @returns Boolean true if the pointer events are currently targeted at a capture target.
+		 */
+		isCaptured: function () {
+			return !!this.target;
+		},
+
+		/**
+		 * @param hitTarget the element under the pointer
+		 * @returns the target of pointer events: the capture target, or the element under the pointer.
+		 */
+		identifyTarget: function (hitTarget) {
+			return this.target || hitTarget;
+		},
+
+		/**
+		 * Process pending pointer capture: fire lostpointercapture/gotpointercapture when the pending capture
+		 * target differs from the capture target, then fire boundary events when the target of the pointer changes.
+		 *
+		 * @param createEvent function (type, relatedTarget) which returns a pointer event of the given type.
+		 * @param hitTarget the current target of the pointer when it is not captured, or null if the pointer is
+		 * no longer over an element (no boundary events).
+		 * @returns the target of the next pointer events.
+		 */
+		process: function (createEvent, hitTarget) {
+			var former = this.target,
+				next = this.pendingTarget,
+				from = former || hitTarget,
+				to = next || hitTarget;
+			if (former === next) {
+				return to;
+			}
+			this.target = next;
+			if (former) {
+				utils.dispatchEvent(former, createEvent(utils.events.LOSTCAPTURE, null));
+			}
+			if (next) {
+				utils.dispatchEvent(next, createEvent(utils.events.GOTCAPTURE, null));
+			}
+			if (from && to && from !== to) {
+				utils.dispatchEvent(from, createEvent(utils.events.OUT, to));
+				utils.dispatchLeaveEvents(from, to, createEvent(utils.events.LEAVE, to));
+				utils.dispatchEvent(to, createEvent(utils.events.OVER, from));
+				utils.dispatchEnterEvents(to, from, createEvent(utils.events.ENTER, from));
+			}
+			return to;
+		},
+
+		/**
+		 * Implicit release of pointer capture, after pointerup or pointercancel: clear the pending capture target
+		 * and process it (lostpointercapture is fired at the capture target).
+		 *
+		 * @param createEvent function (type, relatedTarget) which returns a pointer event of the given type.
+		 */
+		implicitRelease: function (createEvent) {
+			this.pendingTarget = null;
+			this.process(createEvent, null);
+		}
+	};
+
+	return PointerCapture;
+});
@@ -0,0 +1,85 @@
+/**
+ * Allocates the pointerId of pointer events generated from native events (touch, mspointer...).
+ *
+ * The mouse always gets pointerId 1. Other pointers (touch, pen) get small ids (2, 3...) assigned in order while
+ * contacts are active, so that ids don't collide and applications can index arrays by pointerId. Ids are recycled
+ * once no contact is active. Each pointerId is mapped back to the native identifier of its pointer type.
+ */
+define([
+], function () {
+	"use strict";
+
+	var MOUSE_ID = 1,
+		FIRST_ID = 2,
+		nextId = FIRST_ID,
+		pointers = {}, // active pointers {type, nativeId}, by pointerId
+		pointerIds = {}; // active pointerIds, by pointer type and native identifier ("touch:12")
+
+	function key(pointerType, nativeId) {
+		return pointerType + ":" + nativeId;
+	}
+
+	return {
+		MOUSE_ID: MOUSE_ID,
+
+		/**
+		 * @param pointerType "mouse", "pen" or "touch"
+		 * @param nativeId native identifier of the pointer (Touch.identifier, MSPointerEvent.pointerId...)
+		 * @returns Number the pointerId of the pointer: the id already allocated for this pointer, or a new id.
+		 */
+		allocate: function (pointerType, nativeId) {
+			if (pointerType === "mouse") {
+				return MOUSE_ID;
+			}
+			var pointerId = pointerIds[key(pointerType, nativeId)];
+			if (pointerId === undefined) {
+				pointerId = nextId++;
+				pointerIds[key(pointerType, nativeId)] = pointerId;
+				pointers[pointerId] = {type: pointerType, nativeId: nativeId};
+			}
+			return pointerId;
+		},
+
+		/**
+		 * Release the pointerId of a pointer which is no longer active.
+		 *
+		 * @param pointerId pointer id
+		 */
+		release: function (pointerId) {
+			var pointer = pointers[pointerId];
+			if (pointer) {
+				delete pointerIds[key(pointer.type, pointer.nativeId)];
+				delete pointers[pointerId];
+				if (!Object.keys(pointers).length) {
+					nextId = FIRST_ID; // no active contact: recycle ids
+				}
+			}
+		},
+
+		/**
+		 * @param pointerType "mouse", "pen" or "touch"
+		 * @param nativeId native identifier of the pointer
+		 * @returns Number the pointerId of the pointer, or undefined if the pointer is not active.
+		 */
+		get: function (pointerType, nativeId) {
+			return (pointerType === "mouse") ? MOUSE_ID : pointerIds[key(pointerType, nativeId)];
+		},
+
+		/**
+		 * @param pointerId pointer id
+		 * @returns String the type of the pointer ("mouse", "pen" or "touch"), or undefined if the pointer is not
+		 * active.
+		 */
+		getType: function (pointerId) {
+			return (pointerId === MOUSE_ID) ? "mouse" : (pointers[pointerId] && pointers[pointerId].type);
+		},
+
+		/**
+		 * @param pointerId pointer id
+		 * @returns the native identifier of the pointer, or undefined if the pointer is not active.
+		 */
+		getNativeId: function (pointerId) {
+			return pointers[pointerId] && pointers[pointerId].nativeId;
+		}
+	};
+});
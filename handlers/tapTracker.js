@@ -0,0 +1,72 @@
+/**
+ * Keeps track of taps to determine whether a touch is a tap (synthetic click) and how many taps are repeated
+ * (click detail count, dblclick).
+ *
+ * Options:
+ * - tapSlop: maximum distance in px between the start and the end of a tap (0: no limit).
+ * - tapMaxDuration: maximum duration in ms of a tap (0: no limit).
+ * - doubleTapDelay: maximum delay in ms between 2 taps of a repeated tap.
+ * - doubleTapDistance: maximum distance in px between 2 taps of a repeated tap (0: no limit).
+ */
+define([
+	"./utils"
+], function (utils) {
+	"use strict";
+
+	/**
+	 * @param options tap thresholds
+	 */
+	var TapTracker = function (options) {
+		this.options = options;
+		this.count = 0; // number of repeated taps
+		this.lastTap = null; // {target, time, x, y} of the last tap
+	};
+
+	TapTracker.prototype = {
+		/**
+		 * @param start start of the touch {x, y, time} (page coordinates)
+		 * @param touch the touch element at the end of the touch
+		 * @returns Boolean true if the touch is a tap: it did not last or move more than allowed.
+		 */
+		isTap: function (start, touch) {
+			var options = this.options;
+			if (options.tapMaxDuration && (new Date().getTime()) - start.time > options.tapMaxDuration) {
+				return false;
+			}
+			return !options.tapSlop || utils.distance(start.x, start.y, touch.pageX, touch.pageY) <= options.tapSlop;
+		},
+
+		/**
+		 * @param target the target element of the touch
+		 * @param touch the touch element
+		 * @returns Boolean true if a tap on target would repeat the last tap (double tap...).
+		 */
+		isRepeat: function (target, touch) {
+			var options = this.options, lastTap = this.lastTap;
+			return !!lastTap && lastTap.target === target &&
+				((new Date().getTime()) - lastTap.time < options.doubleTapDelay) &&
+				(!options.doubleTapDistance ||
+					utils.distance(lastTap.x, lastTap.y, touch.pageX, touch.pageY) <= options.doubleTapDistance);
+		},
+
+		/**
+		 * Record a tap.
+		 *
+		 * @param target the target element of the tap
+		 * @param touch the touch element
+		 * @returns Number the number of repeated taps, including this one (1, 2, 3...).
+		 */
+		tap: function (target, touch) {
+			this.count = this.isRepeat(target, touch) ? this.count + 1 : 1;
+			this.lastTap = {
+				target: target,
+				time: new Date().getTime(),
+				x: touch.pageX,
+				y: touch.pageY
+			};
+			return this.count;
+		}
+	};
+
+	return TapTracker;
+});
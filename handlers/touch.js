@@ -2,31 +2,33 @@
  * this module listen to touch events and generates corresponding pointer events.
  *
  * http://www.w3.org/TR/touch-events/#list-of-touchevent-types
- * todo: pointerenter/pointerleave: generate on capture when target is the originated element.
  */
 define([
 	"./features",
+	"./pointerIds",
 	"./touchTracker",
+	"./touchAction",
 	"./utils"
-], function (has, tracker, utils) {
+], function (has, pointerIds, TouchTracker, touchAction, utils) {
 	"use strict";
 
 	var TouchEvents = {
 			touchstart: "touchstart",
 			touchmove: "touchmove",
 			touchend: "touchend",
-			touchcancel: "touchcancel"
+			touchcancel: "touchcancel",
+			contextmenu: "contextmenu"
 		},
-		DoubleTap = { // allow to track click and determine if a double click/tap event can be fired.
-			TAP_DELAY: 250, // maximum delay between 2 clicks in ms, after this delay a dblclick won't be generated
-			lastClickTS: 0, // timestamp of the last click
-			hasFirstClick: false, // are we waiting for a second click?
-			targetElement: null, // element which received the click
-			isEligible: function (target) {
-				return this.hasFirstClick && (this.targetElement === target) &&
-					((new Date().getTime()) - this.lastClickTS < this.TAP_DELAY);
-			}
-		};
+		NATIVE_CLICK_ATTR = "native-click", // attribute to opt out of synthetic clicks in a subtree
+		defaultOptions = {
+			tapSlop: 0,
+			tapMaxDuration: 0,
+			doubleTapDelay: 250,
+			doubleTapDistance: 0,
+			longPressDelay: 500,
+			longPressSlop: 10
+		},
+		trackers = new utils.ElementMap(); // touch tracker of each root element where handlers are registered
 
 	/**
 	 * touchstart event handler.
@@ -34,29 +36,29 @@ define([
 	 * @param e touch event
 	 */
 	function touchstart(e) {
-		var touch, touchTarget, touchAction;
+		var tracker = trackers.get(e.currentTarget), touch, targetTouchAction;
 		for (var l = e.changedTouches.length, i = 0; i < l; i++) {
 			touch = e.changedTouches.item(i);
-			touchTarget = null;
-			touchAction = determineTouchActionFromAttr(touch.target);
-			// before doing anything, we check if there is already an active primary pointer:
-			// if default touch action!=auto on the target element, the touch action must be
-			// handled by the user agent. The current event is related to a new pointer which contributes to a
-			// multi touch gesture: we must absorb this event and cancel the primary pointer to let the user agent
-			// handle the default action.
-			if (tracker.hasPrimary() && (touchAction === utils.TouchAction.AUTO)) {
-				// fire pointerout > pointercancel for current primary pointer
-				var lastNativeEvent = tracker.getPrimaryTouchEvent();
-				var lastTouch = tracker.getPrimaryTouch();
-				touchTarget = tracker.identifyPrimaryTouchTarget(lastTouch.target);
-				utils.dispatchEvent(touchTarget, createPointer(utils.events.OUT, lastNativeEvent, lastTouch, {}));
-				utils.dispatchEvent(touchTarget, createPointer(utils.events.CANCEL, lastNativeEvent, lastTouch, {}));
-				releaseCapture(lastTouch.identifier); //implicit release
-				// cancel the primary pointer to avoid duplicate generation of PointerOut > PointerCancel
-				tracker.unregister(lastTouch.identifier);
+			if (trackers.closest(touch.target) !== tracker) {
+				continue; // the touch is tracked by the handlers of a nested root element
+			}
+			targetTouchAction = touchAction.resolve(touch.target);
+			if (tracker.options.debug && targetTouchAction === utils.TouchAction.AUTO) {
+				touchAction.warnListeners(touch.target);
+			}
+			// before doing anything, we check if the new touch starts a multi touch gesture handled by the user
+			// agent: the touch action of a pinch is the intersection of the touch actions of all the touches.
+			// If it allows pinch-zoom, we must absorb this event and cancel the active pointers to let the user
+			// agent handle the default action. Otherwise, each touch is an independent pointer whose touch action
+			// was determined at pointerdown.
+			if (tracker.getTouchIds().length &&
+				(targetTouchAction & tracker.getTouchActions() & utils.TouchAction.PINCH_ZOOM)) {
+				tracker.getTouchIds().forEach(function (touchId) {
+					cancelTouch(tracker, touchId);
+				});
 			} else {
-				if (touchAction !== utils.TouchAction.AUTO) {
-					if (DoubleTap.isEligible(touch.target)) {
+				if (targetTouchAction !== utils.TouchAction.AUTO) {
+					if (tracker.taps.isRepeat(touch.target, touch)) {
 						e.preventDefault(); // prevent zoom on double tap
 					}
 				}
@@ -64,11 +66,15 @@ define([
 				// to set a pointer capture on the element, so we must:
 				// - register the pointer *before* firing the events.
 				// - update the tracker *before* firing the events.
-				tracker.register(touch.identifier, touchAction, touch);
+				tracker.register(touch.identifier, targetTouchAction, touch);
 				tracker.update(touch, e, touch.target);
-				// fire pointerover > pointerdown
-				utils.dispatchEvent(touch.target, createPointer(utils.events.OVER, e, touch, {}));
-				utils.dispatchEvent(touch.target, createPointer(utils.events.DOWN, e, touch, {}));
+				// fire pointerover > pointerenter > pointerdown
+				utils.dispatchEvent(touch.target, createPointer(tracker, utils.events.OVER, e, touch, {}));
+				utils.dispatchEnterEvents(touch.target, null, createPointer(tracker, utils.events.ENTER, e, touch, {}));
+				utils.dispatchEvent(touch.target, createPointer(tracker, utils.events.DOWN, e, touch, {}));
+				if (targetTouchAction !== utils.TouchAction.AUTO) {
+					startLongPress(tracker, touch);
+				}
 			}
 		}
 	}
@@ -79,11 +85,11 @@ define([
 	 * @param e touch event
 	 */
 	function touchmove(e) {
-		var touch;
+		var tracker = trackers.get(e.currentTarget), touch;
 		for (var l = e.changedTouches.length, i = 0; i < l; i++) {
 			touch = e.changedTouches.item(i);
 			if (!tracker.isActive(touch.identifier)) {
-				return;
+				continue; // touch absorbed or already canceled: other touches of the event are still processed
 			}
 			tracker.updateScroll(touch);
 			// browser default actions
@@ -91,9 +97,9 @@ define([
 				var lastNativeEventType = tracker.getTouchEvent(touch.identifier).type;
 				switch (lastNativeEventType) {
 				case TouchEvents.touchstart:
-					// (1) fire PointerOut > PointerCancel
-					utils.dispatchEvent(touch.target, createPointer(utils.events.OUT, e, touch, {}));
-					utils.dispatchEvent(touch.target, createPointer(utils.events.CANCEL, e, touch, {}));
+					// (1) fire PointerCancel > PointerOut > PointerLeave
+					firePointerCancel(tracker, touch.target, e, touch);
+					firePointerOut(tracker, touch.target, e, touch);
 					break;
 				case TouchEvents.touchmove:
 					// (2) do not fire synthetic event: absorb the touchmove.
@@ -102,32 +108,34 @@ define([
 					// events flow already ended (previous touchmove already removed pointer from tracker to
 					// prevent PointerEvent to be fired)
 				}
-				releaseCapture(touch.identifier); //implicit release
 				tracker.unregister(touch.identifier);
 			} else { // always map PointerMove when touch action is set (none/pan-x/pan-y)
+				var start = tracker.getStart(touch.identifier);
+				if (utils.distance(start.x, start.y, touch.pageX, touch.pageY) > tracker.options.longPressSlop) {
+					tracker.cancelLongPress(touch.identifier);
+				}
+				var lastElementFromPoint = processCapture(tracker, e, touch);
 				var touchTarget = tracker.identifyTouchTarget(touch.identifier, elementFromTouch(touch));
-				var lastElementFromPoint = tracker.getTargetElement(touch.identifier);
 				// check if the pointer is moving out from the current target element
 				if (touchTarget !== lastElementFromPoint) {
 					// expected sequence of events:
-					// PointerOut (on previous elt) > PointerMove (on current elt) >  PointerOver (on current elt)
+					// PointerOut > PointerLeave (on previous elt) > PointerOver > PointerEnter > PointerMove (on
+					// current elt)
 					utils.dispatchEvent(lastElementFromPoint,
-						createPointer(utils.events.OUT, e, touch, {relatedTarget: touchTarget}));
+						createPointer(tracker, utils.events.OUT, e, touch, {relatedTarget: touchTarget}));
 					// generate pointerleave event(s)
 					utils.dispatchLeaveEvents(lastElementFromPoint, touchTarget,
-						createPointer(utils.events.LEAVE, e, touch, {relatedTarget: touchTarget}));
-					// generate pointermove
-					utils.dispatchEvent(touchTarget, createPointer(utils.events.MOVE, e, touch, {}));
+						createPointer(tracker, utils.events.LEAVE, e, touch, {relatedTarget: touchTarget}));
 					// generate pointerover
 					utils.dispatchEvent(touchTarget,
-						createPointer(utils.events.OVER, e, touch, {relatedTarget: lastElementFromPoint}));
+						createPointer(tracker, utils.events.OVER, e, touch,
+							{relatedTarget: lastElementFromPoint}));
 					// generate pointerenter event(s)
 					utils.dispatchEnterEvents(touchTarget, lastElementFromPoint,
-						createPointer(utils.events.ENTER, e, touch,
+						createPointer(tracker, utils.events.ENTER, e, touch,
 							{relatedTarget: lastElementFromPoint}));
-				} else {
-					utils.dispatchEvent(touchTarget, createPointer(utils.events.MOVE, e, touch, {}));
 				}
+				utils.dispatchEvent(touchTarget, createPointer(tracker, utils.events.MOVE, e, touch, {}));
 				tracker.update(touch, e, touchTarget);
 				// touch default actions must be prevented.
 				// Let user agent handle it if it supports the touch-action CSS property.
@@ -144,13 +152,14 @@ define([
 	 * @param e touch event
 	 */
 	function touchend(e) {
-		var touch;
+		var tracker = trackers.get(e.currentTarget), touch;
 		for (var l = e.changedTouches.length, i = 0; i < l; i++) {
 			touch = e.changedTouches.item(i);
 			if (!tracker.isActive(touch.identifier)) {
-				return;
+				continue; // touch absorbed or already canceled: other touches of the event are still processed
 			}
 			var lastNativeEventType = tracker.getTouchEvent(touch.identifier).type;
+			processCapture(tracker, e, touch);
 			// elementFromPoint may return null on android when user makes a pinch 2 zoom gesture
 			// in that case we use the current touch.target.
 			var elementFromPoint = elementFromTouch(touch) || touch.target;
@@ -162,10 +171,10 @@ define([
 					// (3) do not generate pointer event
 					break;
 				case TouchEvents.touchstart:
-					// (5) fire pointermove > pointerup > pointerOut
-					utils.dispatchEvent(touchTarget, createPointer(utils.events.MOVE, e, touch, {}));
-					utils.dispatchEvent(touchTarget, createPointer(utils.events.UP, e, touch, {}));
-					utils.dispatchEvent(touchTarget, createPointer(utils.events.OUT, e, touch, {}));
+					// (5) fire pointermove > pointerup > pointerout > pointerleave
+					utils.dispatchEvent(touchTarget, createPointer(tracker, utils.events.MOVE, e, touch, {}));
+					firePointerUp(tracker, touchTarget, e, touch);
+					firePointerOut(tracker, touchTarget, e, touch);
 					break;
 				default:
 					// unexpected behavior:
@@ -174,30 +183,27 @@ define([
 			} else {
 				switch (lastNativeEventType) {
 				case TouchEvents.touchstart:
-					// (6) fire pointermove > pointerup > fast click > pointerout
-					utils.dispatchEvent(touchTarget, createPointer(utils.events.MOVE, e, touch, {}));
-					utils.dispatchEvent(touchTarget, createPointer(utils.events.UP, e, touch, {}));
-					e.preventDefault();
-					fireSyntheticClick(touchTarget, touch);
-					utils.dispatchEvent(touchTarget, createPointer(utils.events.OUT, e, touch, {}));
+					// (6) fire pointermove > pointerup > fast click > pointerout > pointerleave
+					utils.dispatchEvent(touchTarget, createPointer(tracker, utils.events.MOVE, e, touch, {}));
+					firePointerUp(tracker, touchTarget, e, touch);
+					fireTap(tracker, touchTarget, e, touch);
+					firePointerOut(tracker, touchTarget, e, touch);
 					break;
 				case TouchEvents.touchmove:
-					// (4) fire pointerup > fast click > pointerout
-					utils.dispatchEvent(touchTarget, createPointer(utils.events.UP, e, touch, {}));
+					// (4) fire pointerup > fast click > pointerout > pointerleave
+					firePointerUp(tracker, touchTarget, e, touch);
 					// fire synthetic click only if pointer is released on the origin element
 					// (touch.target is the target element from the touchstart)
 					if (elementFromPoint === touch.target) {
-						e.preventDefault();
-						fireSyntheticClick(touchTarget, touch);
+						fireTap(tracker, touchTarget, e, touch);
 					}
-					utils.dispatchEvent(touchTarget, createPointer(utils.events.OUT, e, touch, {}));
+					firePointerOut(tracker, touchTarget, e, touch);
 					break;
 				default:
 					// unexpected behavior:
 					// "touchend event with touch action!=auto and lastNativeEventType=[" + lastNativeEventType + "]"
 				}
 			}
-			releaseCapture(touch.identifier); // implicit release
 			tracker.unregister(touch.identifier);
 		}
 	}
@@ -208,29 +214,53 @@ define([
 	 * @param e touch event
 	 */
 	function touchcancel(e) {
-		var touch;
+		var tracker = trackers.get(e.currentTarget), touch;
 		for (var l = e.changedTouches.length, i = 0; i < l; i++) {
 			touch = e.changedTouches.item(i);
 			if (!tracker.isActive(touch.identifier)) {
-				return;
+				continue; // touch absorbed or already canceled: other touches of the event are still processed
 			}
-			utils.dispatchEvent(tracker.identifyTouchTarget(touch.identifier, elementFromTouch(touch)),
-				createPointer(utils.events.CANCEL, e, touch, {}));
-			releaseCapture(touch.identifier); // implicit release
+			processCapture(tracker, e, touch);
+			// fire pointercancel > pointerout > pointerleave
+			var touchTarget = tracker.identifyTouchTarget(touch.identifier, elementFromTouch(touch));
+			firePointerCancel(tracker, touchTarget, e, touch);
+			firePointerOut(tracker, touchTarget, e, touch);
 			tracker.unregister(touch.identifier);
 		}
 	}
 
+	/**
+	 * contextmenu event handler: the user agent may fire a native contextmenu on long press.
+	 *
+	 * @param e contextmenu event
+	 */
+	function contextmenu(e) {
+		var tracker = trackers.get(e.currentTarget);
+		if (!utils.isNativeClickEvent(e) || trackers.closest(e.target) !== tracker || !tracker.hasPrimary()) {
+			return;
+		}
+		var touchId = tracker.getPrimaryTouch().identifier;
+		if (tracker.isLongPressed(touchId)) {
+			// the synthetic contextmenu has already been fired for this long press
+			e.preventDefault();
+			e.stopPropagation();
+		} else {
+			// the native contextmenu replaces the synthetic one, and the click is suppressed as well
+			tracker.setLongPressed(touchId);
+		}
+	}
+
 	/**
 	 * create a synthetic Pointer event based on a touch event.
 	 *
+	 * @param tracker the touch tracker of the root element which received the touch event.
 	 * @param pointerType pointer event type name ("pointerdown", "pointerup"...)
 	 * @param touchEvent the underlying touch event which contributes to the creation of the pointer event.
 	 * @param touch the underlying touch element which contributes to the creation of the pointer event.
 	 * @param props event properties (optional)
 	 * @returns {utils.Pointer}
 	 */
-	function createPointer(pointerType, touchEvent, touch, props) {
+	function createPointer(tracker, pointerType, touchEvent, touch, props) {
 		props = props || {};
 		// Mouse Event properties
 		props.screenX = touch.screenX;
@@ -243,7 +273,7 @@ define([
 		props.metaKey = touchEvent.metaKey;
 		props.pageX = touch.pageX;
 		props.pageY = touch.pageY;
-		if (tracker.hasCapture(touch.identifier)) {  // W3C spec §10.1
+		if (tracker.hasCapture(touch.identifier) && !("relatedTarget" in props)) {  // W3C spec §10.1
 			props.relatedTarget = null;
 		}
 		// normalize button/buttons values
@@ -252,37 +282,116 @@ define([
 		props.buttons = 1;
 		props.which = props.button + 1;
 		// Pointer Events properties
-		props.pointerId = touch.identifier + 2; // avoid id collision: 1 is reserved for mouse events mapping
-		props.pointerType = "touch";
+		props.pointerId = tracker.getPointerId(touch.identifier);
+		props.pointerType = tracker.getPointerType(touch.identifier);
 		props.isPrimary = tracker.isPrimary(touch.identifier);
+		setContactProperties(touch, props);
 		return new utils.Pointer(pointerType, touchEvent, props);
 	}
 
+	/**
+	 * set pressure, contact geometry and pen orientation properties from a touch element.
+	 * Properties the touch doesn't provide keep their default value.
+	 *
+	 * @param touch the underlying touch element
+	 * @param props event properties
+	 */
+	function setContactProperties(touch, props) {
+		// force is 0 when the device doesn't support it: keep default pressure (0.5 when a button is pressed)
+		if (touch.force) {
+			props.pressure = touch.force;
+		}
+		if (touch.radiusX !== undefined) {
+			props.width = touch.radiusX * 2;
+			props.height = touch.radiusY * 2;
+		}
+		if (touch.rotationAngle !== undefined) {
+			props.twist = (Math.round(touch.rotationAngle) % 360 + 360) % 360;
+		}
+		if (touch.altitudeAngle !== undefined) {
+			var tilt = utils.altitudeAzimuthToTilt(touch.altitudeAngle, touch.azimuthAngle || 0);
+			props.altitudeAngle = touch.altitudeAngle;
+			props.azimuthAngle = touch.azimuthAngle || 0;
+			props.tiltX = tilt.tiltX;
+			props.tiltY = tilt.tiltY;
+		}
+	}
+
+	/**
+	 * Handle the end of a touch which may be a tap: unless the target is in a subtree which opted out of synthetic
+	 * clicks, prevent the native click and fire synthetic click events if the touch is a tap.
+	 *
+	 * @param tracker the touch tracker of the root element which received the touch event.
+	 * @param target the target element of the click
+	 * @param touchEvent the touchend event
+	 * @param touch the touch element
+	 */
+	function fireTap(tracker, target, touchEvent, touch) {
+		if (hasNativeClick(target)) {
+			return; // let the user agent fire the click
+		}
+		touchEvent.preventDefault();
+		// no click after a long press (contextmenu)
+		if (!tracker.isLongPressed(touch.identifier) && tracker.taps.isTap(tracker.getStart(touch.identifier), touch)) {
+			fireSyntheticClick(tracker, target, touch);
+		}
+	}
+
 	/**
 	 * Create and dispatch synthetic events click and dblclick (if eligible).
 	 *
+	 * @param tracker
 	 * @param target
 	 * @param touch
 	 */
-	function fireSyntheticClick(target, touch) {
+	function fireSyntheticClick(tracker, target, touch) {
 		// IE10 always generates a click for every pointer when there is multiple touches
 		// todo: investigate how IE11 handles clicks when there is multiple touches
 		if (tracker.isPrimary(touch.identifier)) {
 			// here we choose to fire click/dblclick only for primary pointer
-			utils.dispatchEvent(target, utils.createSyntheticClick(touch));
-			// dispatch double tap if eligible
-			if (DoubleTap.isEligible(target)) {
-				utils.dispatchEvent(target, utils.createSyntheticClick(touch, true));
-				DoubleTap.hasFirstClick = false;
-			} else {
-				// remember first click
-				DoubleTap.hasFirstClick = true;
-				DoubleTap.lastClickTS = (new Date().getTime());
-				DoubleTap.targetElement = target;
+			var count = tracker.taps.tap(target, touch);
+			utils.dispatchEvent(target, utils.createSyntheticClick(touch, false, count));
+			// dispatch double tap on the second tap
+			if (count === 2) {
+				utils.dispatchEvent(target, utils.createSyntheticClick(touch, true, count));
 			}
 		}
 	}
 
+	/**
+	 * Start the detection of a long press of the primary touch: after longPressDelay, if the touch is still active
+	 * and did not move more than longPressSlop, fire a synthetic contextmenu at the target of the pointer.
+	 *
+	 * @param tracker the touch tracker of the root element which received the touch event.
+	 * @param touch the touch element
+	 */
+	function startLongPress(tracker, touch) {
+		var touchId = touch.identifier;
+		if (!tracker.options.longPressDelay || !tracker.isPrimary(touchId)) {
+			return;
+		}
+		tracker.setLongPressTimer(touchId, setTimeout(function () {
+			tracker.setLongPressed(touchId);
+			utils.dispatchEvent(tracker.identifyTouchTarget(touchId, tracker.getTargetElement(touchId)),
+				utils.createSyntheticContextMenu(tracker.getLastTouch(touchId)));
+		}, tracker.options.longPressDelay));
+	}
+
+	/**
+	 * @param element DOM element
+	 * @returns Boolean true if synthetic clicks are disabled on the element: the nearest element with a
+	 * native-click attribute (element or ancestor) doesn't set it to "false".
+	 */
+	function hasNativeClick(element) {
+		for (var node = element; node && node.getAttribute; node = node.parentNode) {
+			var value = node.getAttribute(NATIVE_CLICK_ATTR);
+			if (value !== null) {
+				return value !== "false";
+			}
+		}
+		return false;
+	}
+
 	/**
 	 * returns the deeply nested dom element at window coordinates from a touch element.
 	 *
@@ -293,52 +402,111 @@ define([
 		return touch.target.ownerDocument.elementFromPoint(touch.clientX, touch.clientY);
 	}
 
-	function releaseCapture(touchId, targetElement) {
-		if (tracker.releaseCapture(touchId, targetElement)) {
-			// 4. Fire a lostpointercapture event at the targetElement
-			utils.dispatchEvent(
-				tracker.getLastTouch(touchId).target,
-				createPointer(utils.events.LOSTCAPTURE,
-					tracker.getTouchEvent(touchId),
-					tracker.getLastTouch(touchId), {}
-				)
-			);
-			return true;
-		}
-		return false;
+	/**
+	 * returns a function which creates pointer events for the capture state machine of a touch.
+	 *
+	 * @param tracker the touch tracker of the root element which received the touch event.
+	 * @param touchEvent the underlying touch event
+	 * @param touch the underlying touch element
+	 * @returns Function function (pointerType, relatedTarget)
+	 */
+	function captureEventFactory(tracker, touchEvent, touch) {
+		return function (pointerType, relatedTarget) {
+			return createPointer(tracker, pointerType, touchEvent, touch, {relatedTarget: relatedTarget});
+		};
 	}
 
 	/**
-	 * With touch events there is no CSS property touch-action: Touch action
-	 * is specified by the value of the HTML attribute touch-action.
-	 * This function returns the touch action which applies to the element, based on "touch action"
-	 * from its ancestors.
-	 * To be used only when underlying native events are touch events.
+	 * Process the pending pointer capture of a touch before firing pointer events for this touch.
 	 *
-	 * @param targetNode DOM element
-	 * @return Number touch action value which applies to the element (auto: 0, pan-x:1, pan-y:2, none: 3)
+	 * @param tracker the touch tracker of the root element which received the touch event.
+	 * @param touchEvent the underlying touch event
+	 * @param touch the underlying touch element
+	 * @returns the current target of the pointer events for this touch.
 	 */
-	function determineTouchActionFromAttr(targetNode) {
-		// touch-action default value: allow default behavior (no prevent default on touch).
-		var nodeValue = utils.TouchAction.AUTO;
-		// find ancestors with "touch action" and define behavior accordingly.
-		do {
-			switch (targetNode.getAttribute && targetNode.getAttribute(utils.TouchAction.ATTR_NAME)) {
-			case "auto":
-				nodeValue = nodeValue | utils.TouchAction.AUTO;
-				break;
-			case "pan-x":
-				nodeValue = nodeValue | utils.TouchAction.PAN_X;
-				break;
-			case "pan-y":
-				nodeValue = nodeValue | utils.TouchAction.PAN_Y;
-				break;
-			case "none":
-				nodeValue = nodeValue | utils.TouchAction.NONE;
-				break;
-			}
-		} while ((nodeValue !== utils.TouchAction.NONE) && (targetNode = targetNode.parentNode));
-		return nodeValue;
+	function processCapture(tracker, touchEvent, touch) {
+		var targetElement = tracker.getCapture(touch.identifier).process(
+			captureEventFactory(tracker, touchEvent, touch), tracker.getTargetElement(touch.identifier));
+		tracker.update(touch, touchEvent, targetElement);
+		return targetElement;
+	}
+
+	/**
+	 * Release pointer capture after pointerup or pointercancel: lostpointercapture is fired at the capture target.
+	 *
+	 * @param tracker the touch tracker of the root element which received the touch event.
+	 * @param touchEvent the underlying touch event
+	 * @param touch the underlying touch element
+	 */
+	function implicitReleaseCapture(tracker, touchEvent, touch) {
+		tracker.getCapture(touch.identifier).implicitRelease(captureEventFactory(tracker, touchEvent, touch));
+	}
+
+	/**
+	 * fire pointerup, followed by the implicit release of pointer capture.
+	 *
+	 * @param tracker the touch tracker of the root element which received the touch event.
+	 * @param target the target of the pointerup event
+	 * @param touchEvent the underlying touch event
+	 * @param touch the underlying touch element
+	 */
+	function firePointerUp(tracker, target, touchEvent, touch) {
+		utils.dispatchEvent(target, createPointer(tracker, utils.events.UP, touchEvent, touch, {}));
+		implicitReleaseCapture(tracker, touchEvent, touch);
+	}
+
+	/**
+	 * fire pointercancel, followed by the implicit release of pointer capture.
+	 *
+	 * @param tracker the touch tracker of the root element which received the touch event.
+	 * @param target the target of the pointercancel event
+	 * @param touchEvent the underlying touch event
+	 * @param touch the underlying touch element
+	 */
+	function firePointerCancel(tracker, target, touchEvent, touch) {
+		utils.dispatchEvent(target, createPointer(tracker, utils.events.CANCEL, touchEvent, touch, {}));
+		implicitReleaseCapture(tracker, touchEvent, touch);
+	}
+
+	/**
+	 * cancel an active touch pointer: fire pointercancel > pointerout > pointerleave and stop tracking the touch.
+	 *
+	 * @param tracker the touch tracker of the root element where the touch is active.
+	 * @param touchId touch identifier
+	 */
+	function cancelTouch(tracker, touchId) {
+		var touchEvent = tracker.getTouchEvent(touchId),
+			touch = tracker.getLastTouch(touchId),
+			target = tracker.identifyTouchTarget(touchId, tracker.getTargetElement(touchId));
+		firePointerCancel(tracker, target, touchEvent, touch);
+		firePointerOut(tracker, target, touchEvent, touch);
+		tracker.unregister(touchId);
+	}
+
+	/**
+	 * fire pointerout and pointerleave when a touch is removed: touch pointers don't hover, pointerleave is
+	 * dispatched at the target and all its ancestors.
+	 *
+	 * @param tracker the touch tracker of the root element which received the touch event.
+	 * @param target the last target of the pointer
+	 * @param touchEvent the underlying touch event
+	 * @param touch the underlying touch element
+	 */
+	function firePointerOut(tracker, target, touchEvent, touch) {
+		utils.dispatchEvent(target, createPointer(tracker, utils.events.OUT, touchEvent, touch, {}));
+		utils.dispatchLeaveEvents(target, null, createPointer(tracker, utils.events.LEAVE, touchEvent, touch, {}));
+	}
+
+	/**
+	 * returns the tracker of the root element where the touch is active.
+	 *
+	 * @param touchId touch identifier
+	 * @return TouchTracker the tracker, or null if the touch is not active.
+	 */
+	function findTracker(touchId) {
+		return trackers.find(function (tracker) {
+			return tracker.isActive(touchId);
+		}) || null;
 	}
 
 	return {
@@ -346,13 +514,21 @@ define([
 		 * register touch events handlers.
 		 *
 		 * @param targetElement target element for touch event listeners
+		 * @param options (optional) tuning options (tapSlop, tapMaxDuration, doubleTapDelay, doubleTapDistance,
+		 * longPressDelay, longPressSlop, debug)
 		 */
-		registerHandlers: function (targetElement) {
+		registerHandlers: function (targetElement, options) {
 			targetElement = targetElement || window.document;
+			trackers.set(targetElement, new TouchTracker(utils.mixin({}, defaultOptions, options)));
+			touchAction.watch(targetElement);
+			if (options && options.debug) {
+				touchAction.trackListeners();
+			}
 			utils.addEventListener(targetElement, TouchEvents.touchstart, touchstart, true);
 			utils.addEventListener(targetElement, TouchEvents.touchmove, touchmove, true);
 			utils.addEventListener(targetElement, TouchEvents.touchend, touchend, true);
 			utils.addEventListener(targetElement, TouchEvents.touchcancel, touchcancel, true);
+			utils.addEventListener(targetElement, TouchEvents.contextmenu, contextmenu, true);
 		},
 
 		/**
@@ -365,6 +541,25 @@ define([
 			utils.removeEventListener(targetElement, TouchEvents.touchmove, touchmove, true);
 			utils.removeEventListener(targetElement, TouchEvents.touchend, touchend, true);
 			utils.removeEventListener(targetElement, TouchEvents.touchcancel, touchcancel, true);
+			utils.removeEventListener(targetElement, TouchEvents.contextmenu, contextmenu, true);
+			if (trackers.remove(targetElement)) {
+				touchAction.unwatch(targetElement);
+			}
+		},
+
+		/**
+		 * cancel the active touch pointers of a root element: fire pointercancel and lostpointercapture, then
+		 * pointerout and pointerleave, and stop tracking the touches.
+		 *
+		 * @param targetElement target element for touch event listeners
+		 */
+		cancelPointers: function (targetElement) {
+			var tracker = trackers.get(targetElement);
+			if (tracker) {
+				tracker.getTouchIds().forEach(function (touchId) {
+					cancelTouch(tracker, touchId);
+				});
+			}
 		},
 
 		/**
@@ -374,16 +569,12 @@ define([
 		 * @param pointerId Id of the capturing Pointer
 		 */
 		setPointerCapture: function (targetElement, pointerId) {
-			var touchId = pointerId - 2;
+			var touchId = pointerIds.getNativeId(pointerId),
+				tracker = findTracker(touchId);
+			if (!tracker) {
+				throw utils.createDOMException("InvalidPointerId", "Pointer " + pointerId + " is not active");
+			}
 			tracker.setCapture(touchId, targetElement);
-			// 4. Fire a gotpointercapture event at the targetElement
-			utils.dispatchEvent(
-				tracker.getLastTouch(touchId).target,
-				createPointer(utils.events.GOTCAPTURE,
-					tracker.getTouchEvent(touchId),
-					tracker.getLastTouch(touchId), {}
-				)
-			);
 			return true;
 		},
 
@@ -394,15 +585,34 @@ define([
 		 * @param pointerId Id of the capturing Pointer
 		 */
 		releasePointerCapture: function (targetElement, pointerId) {
-			return releaseCapture(pointerId - 2, targetElement);
+			var touchId = pointerIds.getNativeId(pointerId),
+				tracker = findTracker(touchId);
+			if (!tracker) {
+				throw utils.createDOMException("InvalidPointerId", "Pointer " + pointerId + " is not active");
+			}
+			return tracker.releaseCapture(touchId, targetElement);
+		},
+
+		/**
+		 * Check Pointer capture.
+		 *
+		 * @param targetElement DOM element
+		 * @param pointerId Id of the Pointer
+		 * @returns true if the element has the capture of the pointer.
+		 */
+		hasPointerCapture: function (targetElement, pointerId) {
+			var touchId = pointerIds.getNativeId(pointerId),
+				tracker = findTracker(touchId);
+			return !!tracker && tracker.hasCapture(touchId, targetElement);
 		},
 
 		/**
 		 * @param targetNode DOM element
-		 * @return Number touch action value which applies to the element (auto: 0, pan-x:1, pan-y:2, none: 3)
+		 * @return Number touch action bit mask which applies to the element (see utils.TouchAction), from the
+		 * touch-action attribute or the touch-action CSS property.
 		 */
 		determineTouchAction: function (targetNode) {
-			return determineTouchActionFromAttr(targetNode);
+			return touchAction.resolve(targetNode);
 		}
 	};
 });
\ No newline at end of file
@@ -0,0 +1,409 @@
+/**
+ * This module determines the touch action which applies to elements when the underlying native events are touch
+ * events, from the touch-action attribute or from the touch-action CSS property.
+ *
+ * The touch-action CSS property is read from the computed style when the user agent supports it. Otherwise the
+ * property is dropped by the CSS parser, so the value is read from the style attribute and from the text of the
+ * style sheets: rules of <style> elements are parsed, rules of <link> style sheets are read from the CSSOM only
+ * (when the user agent keeps the property). The cascade is approximated: !important declarations win, then the
+ * last matching rule in document order.
+ *
+ * Resolved values (the intersection of the touch actions of an element and its ancestors) and the rules parsed
+ * from the style sheets are kept in a cache while a MutationObserver watches their document, so that resolving the
+ * touch action of a touch target is O(1) once its ancestors have been resolved and as long as they don't change.
+ * Invalidation is scoped: a change of the class, style or touch-action attribute of an element invalidates the
+ * values of the element and its descendants, an inserted element invalidates its own subtree, and a style sheet
+ * change invalidates all the values only if it changes the touch-action rules. Without MutationObserver, nothing
+ * is cached: values are resolved from the attributes and the style sheets on every call.
+ */
+define([
+	"./features",
+	"./utils"
+], function (has, utils) {
+	"use strict";
+
+	var CACHE_PROPERTY = "_dpointerTouchAction", // expando which holds the cached value on elements
+		LISTENER_PROPERTY = "_dpointerListeners", // expando set on elements with pointer event listeners (debug)
+		generation = 0, // cached values of previous generations are invalid
+		cssRules = null, // {doc, rules}: touch-action rules parsed from the style sheets, or null if not cached
+		observers = new utils.ElementMap(), // {observer, count} of each watched document
+		matchesSelector = (function () {
+			var proto = window.Element && window.Element.prototype;
+			return proto && (proto.matches || proto.webkitMatchesSelector || proto.mozMatchesSelector ||
+				proto.msMatchesSelector);
+		})();
+
+	/**
+	 * returns the touch-action value of a CSS declaration block.
+	 *
+	 * @param cssText CSS declarations (for instance "color: red; touch-action: none")
+	 * @returns Object {value, important} or null if touch-action is not declared.
+	 */
+	function parseDeclaration(cssText) {
+		var match = /(?:^|;)\s*(?:-ms-)?touch-action\s*:\s*([^;!]+)(!\s*important)?/i.exec(cssText);
+		return match ? {value: match[1], important: !!match[2]} : null;
+	}
+
+	/**
+	 * Parse the text of a style sheet and collect touch-action rules (rules of @media blocks are collected
+	 * regardless of the media condition).
+	 *
+	 * @param cssText the text of the style sheet
+	 * @param rules array where to push rules {selector, value, important}
+	 */
+	function parseStyleSheetText(cssText, rules) {
+		var ruleRegExp = /([^{}]+)\{([^{}]*)\}/g, match, declaration;
+		cssText = cssText.replace(/\/\*[\s\S]*?\*\//g, "");
+		while ((match = ruleRegExp.exec(cssText))) {
+			declaration = parseDeclaration(match[2]);
+			if (declaration && match[1].trim().charAt(0) !== "@") {
+				declaration.selector = match[1].trim();
+				rules.push(declaration);
+			}
+		}
+	}
+
+	/**
+	 * Collect touch-action rules from CSSOM rules.
+	 *
+	 * @param cssRuleList CSSRuleList of a style sheet or of a @media rule
+	 * @param rules array where to push rules {selector, value, important}
+	 */
+	function collectCSSRules(cssRuleList, rules) {
+		for (var i = 0; i < cssRuleList.length; i++) {
+			var rule = cssRuleList[i], value;
+			if (rule.cssRules) {
+				collectCSSRules(rule.cssRules, rules);
+			} else if (rule.style && rule.selectorText) {
+				value = rule.style.getPropertyValue("touch-action") ||
+					rule.style.getPropertyValue("-ms-touch-action");
+				if (value) {
+					rules.push({
+						selector: rule.selectorText,
+						value: value,
+						important: rule.style.getPropertyPriority("touch-action") === "important"
+					});
+				}
+			}
+		}
+	}
+
+	/**
+	 * @param doc a document
+	 * @returns Array the touch-action rules {selector, value, important} of the document style sheets.
+	 */
+	function getCSSRules(doc) {
+		if (cssRules && cssRules.doc === doc) {
+			return cssRules.rules;
+		}
+		var rules = [];
+		Array.prototype.forEach.call(doc.styleSheets || [], function (sheet) {
+			var node = sheet.ownerNode;
+			if (node && node.tagName && node.tagName.toLowerCase() === "style") {
+				parseStyleSheetText(node.textContent, rules);
+			} else {
+				try {
+					collectCSSRules(sheet.cssRules || [], rules);
+				} catch (error) {
+					// cross-origin style sheet: rules are not accessible
+				}
+			}
+		});
+		if (isCacheValid(doc)) {
+			cssRules = {doc: doc, rules: rules};
+		}
+		return rules;
+	}
+
+	/**
+	 * @param element DOM element
+	 * @returns String the touch-action CSS value which applies to the element, or null if not set.
+	 */
+	function getCSSTouchAction(element) {
+		if (has("css-touch-action")) {
+			return window.getComputedStyle(element).touchAction;
+		}
+		if (has("css-ms-touch-action")) {
+			return window.getComputedStyle(element).msTouchAction;
+		}
+		var inline = parseDeclaration(element.getAttribute("style") || ""),
+			result = null;
+		if (inline && inline.important) {
+			return inline.value;
+		}
+		if (matchesSelector) {
+			getCSSRules(element.ownerDocument).forEach(function (rule) {
+				if ((!result || rule.important || !result.important) && matches(element, rule.selector)) {
+					result = rule;
+				}
+			});
+		}
+		if (inline && !(result && result.important)) {
+			return inline.value;
+		}
+		return result && result.value;
+	}
+
+	/**
+	 * @param element DOM element
+	 * @param selector CSS selector
+	 * @returns Boolean true if the element matches the selector (false if the selector is not supported).
+	 */
+	function matches(element, selector) {
+		try {
+			return matchesSelector.call(element, selector);
+		} catch (error) {
+			return false;
+		}
+	}
+
+	/**
+	 * returns the touch action set on the element itself, from the touch-action attribute or from CSS.
+	 *
+	 * @param element DOM element
+	 * @returns Number touch action bit mask, or null if the element has no valid touch action.
+	 */
+	function getOwnTouchAction(element) {
+		var value = element.getAttribute(utils.TouchAction.ATTR_NAME);
+		value = value ? utils.parseTouchAction(value) : null;
+		if (value === null) {
+			value = getCSSTouchAction(element);
+			value = value ? utils.parseTouchAction(value) : null;
+		}
+		return value;
+	}
+
+	/**
+	 * @param element DOM element
+	 * @returns Number the cached resolved touch action of the element, or null if not cached or out of date.
+	 */
+	function getCachedTouchAction(element) {
+		var cached = element[CACHE_PROPERTY];
+		return (cached && cached.generation === generation) ? cached.value : null;
+	}
+
+	/**
+	 * returns the touch action which applies to the element, without cache.
+	 *
+	 * @param targetNode DOM element
+	 * @returns Number touch action bit mask (see utils.TouchAction)
+	 */
+	function resolveUncached(targetNode) {
+		// touch-action default value: allow default behavior (no prevent default on touch).
+		var nodeValue = utils.TouchAction.AUTO, ownValue;
+		// find ancestors with "touch action" and define behavior accordingly.
+		do {
+			if (targetNode.nodeType === 1) {
+				ownValue = getOwnTouchAction(targetNode);
+				if (ownValue !== null) {
+					nodeValue = nodeValue & ownValue;
+				}
+			}
+		} while ((nodeValue !== utils.TouchAction.NONE) && (targetNode = targetNode.parentNode));
+		return nodeValue;
+	}
+
+	/**
+	 * @param doc a document
+	 * @returns Boolean true if the cached values of the document are up to date: its mutations are observed.
+	 */
+	function isCacheValid(doc) {
+		return !!observers.get(doc);
+	}
+
+	/**
+	 * MutationObserver callback: invalidate the cached values which depend on the mutations.
+	 *
+	 * @param mutations MutationRecord array
+	 */
+	function onMutation(mutations) {
+		var styleSheetDocument = null;
+		mutations.forEach(function (mutation) {
+			if (mutation.type === "attributes") {
+				clearCache(mutation.target);
+			} else if (isStyleMutation(mutation)) {
+				styleSheetDocument = mutation.target.ownerDocument || mutation.target;
+			} else {
+				// the ancestors of inserted elements change (removed elements are not resolved until reinserted)
+				Array.prototype.forEach.call(mutation.addedNodes, clearCache);
+			}
+		});
+		if (styleSheetDocument) {
+			onStyleSheetChange(styleSheetDocument);
+		}
+	}
+
+	/**
+	 * Invalidate the cached values of a node and its descendants.
+	 *
+	 * @param node DOM node
+	 */
+	function clearCache(node) {
+		if (node.nodeType !== 1) {
+			return;
+		}
+		node[CACHE_PROPERTY] = null;
+		Array.prototype.forEach.call(node.getElementsByTagName("*"), function (descendant) {
+			descendant[CACHE_PROPERTY] = null;
+		});
+	}
+
+	/**
+	 * Style sheets of a document changed: invalidate all the cached values if the touch-action rules changed.
+	 *
+	 * @param doc document
+	 */
+	function onStyleSheetChange(doc) {
+		var previous = cssRules;
+		cssRules = null;
+		if (has("css-touch-action") || has("css-ms-touch-action")) {
+			generation++; // the computed style may change
+		} else if (previous && (previous.doc !== doc ||
+			JSON.stringify(getCSSRules(doc)) !== JSON.stringify(previous.rules))) {
+			generation++;
+		}
+	}
+
+	/**
+	 * @param mutation a childList or characterData MutationRecord
+	 * @returns Boolean true if a style sheet is added or removed, or if the text of a <style> element changes.
+	 */
+	function isStyleMutation(mutation) {
+		var isStyleNode = function (node) {
+				var tagName = node && node.tagName && node.tagName.toLowerCase();
+				return tagName === "style" || tagName === "link";
+			},
+			target = (mutation.type === "characterData") ? mutation.target.parentNode : mutation.target;
+		return isStyleNode(target) ||
+			Array.prototype.some.call(mutation.addedNodes, isStyleNode) ||
+			Array.prototype.some.call(mutation.removedNodes, isStyleNode);
+	}
+
+	return {
+		/**
+		 * returns the touch action which applies to the element: the intersection of the touch actions of the
+		 * element and its ancestors. Invalid values are ignored.
+		 *
+		 * @param targetNode DOM element
+		 * @returns Number touch action bit mask (see utils.TouchAction)
+		 */
+		resolve: function (targetNode) {
+			var nodeValue, ownValue, cachedValue = null, path = [];
+			if (!isCacheValid(targetNode.ownerDocument || targetNode)) {
+				return resolveUncached(targetNode);
+			}
+			// find the nearest ancestor with a cached value, then resolve and cache values down to the target node.
+			for (; targetNode && cachedValue === null; targetNode = targetNode.parentNode) {
+				if (targetNode.nodeType === 1) {
+					cachedValue = getCachedTouchAction(targetNode);
+					if (cachedValue === null) {
+						path.push(targetNode);
+					}
+				}
+			}
+			nodeValue = (cachedValue === null) ? utils.TouchAction.AUTO : cachedValue;
+			for (var i = path.length - 1; i >= 0; i--) {
+				ownValue = getOwnTouchAction(path[i]);
+				if (ownValue !== null) {
+					nodeValue = nodeValue & ownValue;
+				}
+				path[i][CACHE_PROPERTY] = {generation: generation, value: nodeValue};
+			}
+			return nodeValue;
+		},
+
+		/**
+		 * Invalidate resolved values, for instance when a touch-action attribute is set: mutation observers are
+		 * notified asynchronously.
+		 *
+		 * @param element (optional) element whose touch action changed: only the values of the element and its
+		 * descendants are invalidated. All values are invalidated without element.
+		 */
+		invalidate: function (element) {
+			if (element) {
+				clearCache(element);
+			} else {
+				cssRules = null;
+				generation++;
+			}
+		},
+
+		/**
+		 * Debug: keep track of elements which register pointer event listeners, so that warnListeners() can
+		 * report the ones which sit under touch-action: auto.
+		 */
+		trackListeners: function () {
+			var proto = (window.EventTarget || window.Node).prototype,
+				addEventListener = proto.addEventListener;
+			if (addEventListener.dpointerTracked) {
+				return;
+			}
+			proto.addEventListener = function (type) {
+				if (this.nodeType === 1 && /^(pointer|gotpointercapture|lostpointercapture)/.test(type)) {
+					this[LISTENER_PROPERTY] = this[LISTENER_PROPERTY] || "tracked";
+				}
+				return addEventListener.apply(this, arguments);
+			};
+			proto.addEventListener.dpointerTracked = true;
+		},
+
+		/**
+		 * Debug: log a warning for the target node and its ancestors which have pointer event listeners while their
+		 * touch action is auto: the user agent handles touches and pointer events are cancelled as soon as the
+		 * touch moves. Each element is reported once.
+		 *
+		 * @param targetNode DOM element
+		 */
+		warnListeners: function (targetNode) {
+			for (; targetNode; targetNode = targetNode.parentNode) {
+				if (targetNode[LISTENER_PROPERTY] === "tracked" &&
+					this.resolve(targetNode) === utils.TouchAction.AUTO) {
+					targetNode[LISTENER_PROPERTY] = "reported";
+					console.warn("dpointer: element has pointer event listeners but its touch-action is auto, " +
+						"pointer events are cancelled when the user agent handles touches.", targetNode);
+				}
+			}
+		},
+
+		/**
+		 * Start observing mutations of the document of the root element, to keep cached values up to date.
+		 *
+		 * @param rootElement root element where touch handlers are registered
+		 */
+		watch: function (rootElement) {
+			var doc = rootElement.ownerDocument || rootElement,
+				entry = observers.get(doc);
+			if (!has("mutation-observer")) {
+				return;
+			}
+			if (!entry) {
+				entry = observers.set(doc, {observer: new window.MutationObserver(onMutation), count: 0});
+				entry.observer.observe(doc, {
+					attributes: true,
+					attributeFilter: ["class", "style", utils.TouchAction.ATTR_NAME],
+					childList: true,
+					characterData: true,
+					subtree: true
+				});
+				generation++;
+			}
+			entry.count++;
+		},
+
+		/**
+		 * Stop observing mutations of the document of the root element.
+		 *
+		 * @param rootElement root element where touch handlers are registered
+		 */
+		unwatch: function (rootElement) {
+			var doc = rootElement.ownerDocument || rootElement,
+				entry = observers.get(doc);
+			if (entry && --entry.count === 0) {
+				entry.observer.disconnect();
+				observers.remove(doc);
+				cssRules = null;
+				generation++;
+			}
+		}
+	};
+});
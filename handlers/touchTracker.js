@@ -1,14 +1,26 @@
 define([
+	"./pointerCapture",
+	"./pointerIds",
+	"./tapTracker",
 	"./utils"
-], function (utils) {
+], function (PointerCapture, pointerIds, TapTracker, utils) {
 	"use strict";
 
-	var TouchInfo = function (touchAction, pageX, pageY) {
+	var TouchInfo = function (touchAction, pageX, pageY, pointerType) {
 		this.touchAction = touchAction;
+		this.pointerType = pointerType; // "touch" or "pen"
+		this.pointerId = 0;
 		this.lastNativeEvent = null; // undefined
 		this.lastTouch = null; // undefined
-		this.capturedTarget = null; // undefined, rename capturedTarget
+		this.capture = new PointerCapture();
 		this.lastTargetElement = null;
+		this.longPressTimer = null; // pending long press detection
+		this.longPressed = false; // true once a long press (contextmenu) occurred
+		this.start = {
+			x: pageX,
+			y: pageY,
+			time: new Date().getTime()
+		};
 		this.firstMove = {
 			startX: pageX,
 			startY: pageY
@@ -16,59 +28,106 @@ define([
 		this.enforceTouchAction = (touchAction === utils.TouchAction.AUTO);
 	};
 
-	// touchId of the primary pointer, or -1 if no primary pointer set.
-	var primaryTouchId = -1,
-		t = {},
-		canScroll = function (a1, b1, a2, b2) {
+	var canScroll = function (a1, b1, a2, b2) {
 			return Math.abs(a2 - a1) / Math.abs(b2 - b1) > 0.7;
+		},
+		// returns the pan direction(s) (utils.TouchAction bits) of a move from its start position.
+		// pan-left/pan-up mean the content scrolls to the left/up: the finger moves to the right/downward.
+		panDirection = function (start, touch) {
+			var direction = utils.TouchAction.NONE;
+			if (canScroll(start.startX, start.startY, touch.pageX, touch.pageY)) {
+				direction |= (touch.pageX > start.startX) ? utils.TouchAction.PAN_LEFT : utils.TouchAction.PAN_RIGHT;
+			}
+			if (canScroll(start.startY, start.startX, touch.pageY, touch.pageX)) {
+				direction |= (touch.pageY > start.startY) ? utils.TouchAction.PAN_UP : utils.TouchAction.PAN_DOWN;
+			}
+			return direction;
 		};
 
-	return {
+	/**
+	 * Keeps track of active touches. One tracker is created for each root element where touch handlers are
+	 * registered, so that touches from several roots don't share primary pointer and capture state.
+	 *
+	 * @param options tuning options of the root element
+	 */
+	var TouchTracker = function (options) {
+		this.options = options || {};
+		this.taps = new TapTracker(this.options); // taps of the primary touches
+		this._primaryTouchId = -1; // touchId of the primary pointer, or -1 if no primary pointer set.
+		this._touches = {};
+	};
+
+	TouchTracker.prototype = {
 
 		register: function (touchId, touchAction, touch) {
 			// the first touch to register becomes the primary pointer
-			if (primaryTouchId === -1) {
-				primaryTouchId = touchId;
+			if (this._primaryTouchId === -1) {
+				this._primaryTouchId = touchId;
 			}
-			t[touchId] = new TouchInfo(touchAction, touch.pageX, touch.pageY);
+			var touchInfo = new TouchInfo(touchAction, touch.pageX, touch.pageY,
+				(touch.touchType === "stylus") ? "pen" : "touch");
+			touchInfo.pointerId = pointerIds.allocate(touchInfo.pointerType, touchId);
+			this._touches[touchId] = touchInfo;
 		},
 
 		unregister: function (touchId) {
-			if (primaryTouchId === touchId) {
-				primaryTouchId = -1;
+			this.cancelLongPress(touchId);
+			if (this._primaryTouchId === touchId) {
+				this._primaryTouchId = -1;
 			}
-			return (delete t[touchId]);
+			if (this.isActive(touchId)) {
+				pointerIds.release(this._touches[touchId].pointerId);
+			}
+			return (delete this._touches[touchId]);
 		},
 
 		update: function (touch, touchEvent, targetElement) {
-			t[touch.identifier].lastTouch = touch;
-			t[touch.identifier].lastNativeEvent = touchEvent;
-			t[touch.identifier].lastTargetElement = targetElement;
+			this._touches[touch.identifier].lastTouch = touch;
+			this._touches[touch.identifier].lastNativeEvent = touchEvent;
+			this._touches[touch.identifier].lastTargetElement = targetElement;
+		},
+
+		// identifiers of the active touches
+		getTouchIds: function () {
+			return Object.keys(this._touches).map(Number);
+		},
+
+		// intersection of the touch actions of the active touches
+		getTouchActions: function () {
+			var value = utils.TouchAction.AUTO;
+			for (var touchId in this._touches) {
+				value &= this._touches[touchId].touchAction;
+			}
+			return value;
 		},
 
 		isActive: function (touchId) {
-			return (touchId in t);
+			return (touchId in this._touches);
+		},
+
+		getPointerId: function (touchId) {
+			return this._touches[touchId].pointerId;
+		},
+
+		getPointerType: function (touchId) {
+			return this._touches[touchId].pointerType;
 		},
 
 		isPrimary: function (touchId) {
-			return (touchId === primaryTouchId);
+			return (touchId === this._primaryTouchId);
 		},
 
 		getTouchAction: function (touchId) {
-			return t[touchId].touchAction;
+			return this._touches[touchId].touchAction;
 		},
 
 		updateScroll: function (touch) {
-			if (t[touch.identifier].firstMove) {
-				var touchInfo = t[touch.identifier];
-				if (touchInfo.touchAction === utils.TouchAction.PAN_Y) {
-					touchInfo.enforceTouchAction =
-						canScroll(touchInfo.firstMove.startY, touchInfo.firstMove.startX, touch.pageY, touch.pageX);
-				} else {
-					if (touchInfo.touchAction === utils.TouchAction.PAN_X) {
-						touchInfo.enforceTouchAction =
-							canScroll(touchInfo.firstMove.startX, touchInfo.firstMove.startY, touch.pageX, touch.pageY);
-					}
+			var touchInfo = this._touches[touch.identifier];
+			if (touchInfo.firstMove) {
+				// the first move determines the pan direction: the user agent handles the default action if the
+				// touch action allows panning in this direction.
+				if (touchInfo.touchAction !== utils.TouchAction.AUTO) {
+					touchInfo.enforceTouchAction = !!(touchInfo.touchAction & panDirection(touchInfo.firstMove, touch));
 				}
 				touchInfo.firstMove = false;
 			}
@@ -76,71 +135,93 @@ define([
 
 
 		isTouchActionEnforced: function (touchId) {
-			return t[touchId].enforceTouchAction;
+			return this._touches[touchId].enforceTouchAction;
+		},
+
+		setLongPressTimer: function (touchId, timer) {
+			this._touches[touchId].longPressTimer = timer;
+		},
+
+		// stop the detection of a long press
+		cancelLongPress: function (touchId) {
+			var touchInfo = this._touches[touchId];
+			if (touchInfo && touchInfo.longPressTimer) {
+				clearTimeout(touchInfo.longPressTimer);
+				touchInfo.longPressTimer = null;
+			}
+		},
+
+		setLongPressed: function (touchId) {
+			this.cancelLongPress(touchId);
+			this._touches[touchId].longPressed = true;
+		},
+
+		isLongPressed: function (touchId) {
+			return this._touches[touchId].longPressed;
+		},
+
+		// start of the touch {x, y, time} (page coordinates)
+		getStart: function (touchId) {
+			return this._touches[touchId].start;
 		},
 
 		getLastTouch: function (touchId) {
-			return t[touchId].lastTouch;
+			return this._touches[touchId].lastTouch;
 		},
 
 		getTargetElement: function (touchId) {
-			return t[touchId].lastTargetElement;
+			return this._touches[touchId].lastTargetElement;
 		},
 
 		getTouchEvent: function (touchId) {
-			return t[touchId].lastNativeEvent;
+			return this._touches[touchId].lastNativeEvent;
 		},
 
 		hasPrimary: function () {
-			return (primaryTouchId !== -1);
-		},
-
-		getPrimaryTouchEvent: function () {
-			return t[primaryTouchId].lastNativeEvent;
+			return (this._primaryTouchId !== -1);
 		},
 
 		getPrimaryTouch: function () {
-			return t[primaryTouchId].lastTouch;
+			return this._touches[this._primaryTouchId].lastTouch;
 		},
 
 		// touch target depends whether capture has been set on the pointer
 		identifyTouchTarget: function (touchId, nonCapturedElement) {
-			return (t[touchId] && t[touchId].capturedTarget) || nonCapturedElement;
+			return this._touches[touchId] ? this._touches[touchId].capture.identifyTarget(nonCapturedElement) :
+				nonCapturedElement;
 		},
 
-		identifyPrimaryTouchTarget: function (nonCapturedElement) {
-			return this.identifyTouchTarget(primaryTouchId, nonCapturedElement);
+		getCapture: function (touchId) {
+			return this._touches[touchId].capture;
 		},
 
-		hasCapture: function (touchId) {
-			return !!(t[touchId].capturedTarget);
+		// with targetElement: true if targetElement is the (pending) capture target.
+		// without targetElement: true if pointer events are currently targeted at a capture target.
+		hasCapture: function (touchId, targetElement) {
+			var capture = this._touches[touchId].capture;
+			return targetElement ? capture.has(targetElement) : capture.isCaptured();
 		},
 
 		setCapture: function (touchId, targetElement) {
 			// 1. check if pointer is active, otw throw DOMException with the name InvalidPointerId.
 			if (!this.isActive(touchId)) {
-				throw new Error("InvalidPointerId");
+				throw utils.createDOMException("InvalidPointerId", "Touch " + touchId + " is not active");
 			}
-			// todo: 2. pointer must have active buttons, otherwise return
-			// 3. register capture on this element.
-			t[touchId].capturedTarget = targetElement;
+			// 2. an active touch always has its button pressed.
+			// 3. set the pending pointer capture target: gotpointercapture is fired before the next pointer event.
+			this._touches[touchId].capture.set(targetElement);
 		},
 
 		releaseCapture: function (touchId, targetElement) {
 			// 1. check if pointerId is active, otw throw DOMException with the name InvalidPointerId.
 			if (!this.isActive(touchId)) {
-				throw new Error("InvalidPointerId");
-			}
-			if (targetElement && targetElement !== t[touchId].capturedTarget) {
-				// explicit release but capture element doesn't match
-				return false;
-			}
-			if (t[touchId].capturedTarget) {
-				t[touchId].capturedTarget = null;
-				return true;
-			} else {
-				return false;
+				throw utils.createDOMException("InvalidPointerId", "Touch " + touchId + " is not active");
 			}
+			// 2. if pointer capture not set at targetElement, return
+			// 3. clear the pending pointer capture target: lostpointercapture is fired before the next pointer event.
+			return this._touches[touchId].capture.release(targetElement);
 		}
 	};
+
+	return TouchTracker;
 });
\ No newline at end of file
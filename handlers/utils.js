@@ -19,15 +19,33 @@ define([
 			GOTCAPTURE: "gotpointercapture",
 			LOSTCAPTURE: "lostpointercapture"
 		},
-		TouchAction: { // touch action
+		// touch action: bit mask of the default touch behaviors the user agent is allowed to handle.
+		// The touch action which applies to an element is the intersection (bitwise and) of its own touch action and
+		// the touch actions of its ancestors.
+		TouchAction: {
 			ATTR_NAME: "touch-action",
-			AUTO: 0,  // 0000
-			PAN_X: 1, // 0001
-			PAN_Y: 2, // 0010
-			NONE: 3   // 0011
+			NONE: 0,             // 000000
+			PAN_LEFT: 1,         // 000001 (the user drags the finger to the right)
+			PAN_RIGHT: 2,        // 000010 (the user drags the finger to the left)
+			PAN_X: 3,            // 000011
+			PAN_UP: 4,           // 000100 (the user drags the finger downward)
+			PAN_DOWN: 8,         // 001000 (the user drags the finger upward)
+			PAN_Y: 12,           // 001100
+			PINCH_ZOOM: 16,      // 010000
+			MANIPULATION: 31,    // 011111
+			DOUBLE_TAP_ZOOM: 32, // 100000 (no keyword: only allowed by auto)
+			AUTO: 63             // 111111
 		}
 	};
 
+	// touch-action keywords which can be combined, by group: one keyword per group at most.
+	var touchActionGroups = [
+		{"pan-x": utils.TouchAction.PAN_X, "pan-left": utils.TouchAction.PAN_LEFT,
+			"pan-right": utils.TouchAction.PAN_RIGHT},
+		{"pan-y": utils.TouchAction.PAN_Y, "pan-up": utils.TouchAction.PAN_UP, "pan-down": utils.TouchAction.PAN_DOWN},
+		{"pinch-zoom": utils.TouchAction.PINCH_ZOOM}
+	];
+
 	// Properties and their default value used to create synthetic "Pointer Events" 
 	var eventPropDesc = {
 		// MouseEvent interface properties
@@ -48,11 +66,15 @@ define([
 		buttons: 0,
 		// PointerEvent interface properties
 		pointerId: 0,
-		width: 0,
-		height: 0,
+		width: 1,
+		height: 1,
 		pressure: 0,
 		tiltX: 0,
 		tiltY: 0,
+		tangentialPressure: 0,
+		twist: 0,
+		altitudeAngle: Math.PI / 2, // perpendicular to the surface
+		azimuthAngle: 0,
 		pointerType: "",
 		isPrimary: false
 	};
@@ -89,7 +111,7 @@ define([
 	})();
 
 	/**
-	 * Pointer Event constructor.
+	 * Pointer Event constructor, for the pointer events generated from native events.
 	 *
 	 * @param pointerType pointer event type name ("pointerdown", "pointerup"...)
 	 * @param nativeEvent underlying event which contributes to this pointer event.
@@ -97,31 +119,60 @@ define([
 	 * @returns Event a  Pointer event
 	 */
 	utils.Pointer = function (pointerType, nativeEvent, props) {
-		var event;
 		// set bubbles and cancelable value according to pointer event type
 		props.bubbles = eventTypeDesc[pointerType].bubbles;
 		props.cancelable = eventTypeDesc[pointerType].cancelable;
+		// hardware which doesn't support pressure: 0.5 when buttons are pressed, 0 otherwise
+		props.pressure = props.pressure || (props.buttons ? 0.5 : 0);
+		var event = createPointerEvent(pointerType, nativeEvent.view || null, nativeEvent.detail || 0, props);
+		// map functions
+		mapNativeFunctions(event, nativeEvent);
+
+		return event;
+	};
+
+	/**
+	 * PointerEvent constructor (as window.PointerEvent): creates a pointer event from a PointerEventInit dictionary.
+	 *
+	 * @param type event type name ("pointerdown", "pointerup"...)
+	 * @param eventInitDict PointerEventInit dictionary (optional): "bubbles", "cancelable", "view", "detail",
+	 * MouseEvent and PointerEvent properties.
+	 * @returns Event a Pointer event
+	 */
+	utils.PointerEvent = function (type, eventInitDict) {
+		if (type === undefined) {
+			throw new TypeError("Failed to construct 'PointerEvent': 1 argument required");
+		}
+		var props = utils.mixin({}, eventInitDict);
+		props.bubbles = !!props.bubbles;
+		props.cancelable = !!props.cancelable;
+		return createPointerEvent(String(type), props.view || null, props.detail || 0, props);
+	};
+
+	/**
+	 * @param type event type name
+	 * @param view event view
+	 * @param detail event detail
+	 * @param props event properties, including "bubbles" and "cancelable".
+	 * @returns Event
+	 */
+	function createPointerEvent(type, view, detail, props) {
+		var event;
 		// create the base event
 		if (canRedefineUIEvent) {
 			event = document.createEvent("UIEvent");
-			event.initUIEvent(
-				pointerType, props.bubbles, props.cancelable, nativeEvent.view || null, nativeEvent.detail || 0
-			);
+			event.initUIEvent(type, props.bubbles, props.cancelable, view, detail);
 		} else {
 			// fallback (iOS 7 disallows to redefine property value/getter)
 			event = document.createEvent("Event");
-			event.initEvent(pointerType, props.bubbles, props.cancelable);
+			event.initEvent(type, props.bubbles, props.cancelable);
 			// view and detail properties are not available in Event constructor 
-			props.view = nativeEvent.view || null;
-			props.detail = nativeEvent.detail || 0;
+			props.view = view;
+			props.detail = detail;
 		}
 		// redefine event properties
-		defineEventProperties(event, props);
-		// map functions
-		mapNativeFunctions(event, nativeEvent);
-
-		return event;
-	};
+		return defineEventProperties(event, props);
+	}
 
 	/**
 	 * @param e event
@@ -129,18 +180,21 @@ define([
 	 * @returns Event
 	 */
 	function defineEventProperties(e, props) {
-		props.pressure = props.pressure || (props.buttons ? 0.5 : 0);
 		var propsDesc = {};
+		// falsy values are valid (altitudeAngle=0, ctrlKey=false...): only undefined properties get default value
+		function value(name) {
+			return (props[name] === undefined) ? eventPropDesc[name] : props[name];
+		}
 		Object.keys(eventPropDesc).forEach(function (name) {
 			if (name in e) {
 				this[name] = {
 					get: function () {
-						return props[name] || eventPropDesc[name];
+						return value(name);
 					}
 				};
 			} else {
 				this[name] = {
-					value: props[name] || eventPropDesc[name]
+					value: value(name)
 				};
 			}
 		}, propsDesc);
@@ -148,14 +202,64 @@ define([
 		return e;
 	}
 
+	/**
+	 * Converts the orientation of a pen from altitude/azimuth angles to tilt angles.
+	 * http://www.w3.org/TR/pointerevents3/#converting-between-tiltx-tilty-and-altitudeangle-azimuthangle
+	 *
+	 * @param altitudeAngle angle between the pen and the surface in radians (0 to π/2)
+	 * @param azimuthAngle angle between the projection of the pen on the surface and the X axis in radians (0 to 2π)
+	 * @returns Object {tiltX, tiltY} in degrees (-90 to 90)
+	 */
+	utils.altitudeAzimuthToTilt = function (altitudeAngle, azimuthAngle) {
+		var tanAltitude = Math.tan(altitudeAngle);
+		function tilt(ratio) {
+			// round cos/sin of azimuth to avoid floating point errors at right angles (cos(π/2) !== 0)
+			ratio = Math.round(ratio * 1e10) / 1e10;
+			if (ratio === 0) {
+				return 0;
+			}
+			if (tanAltitude === 0) { // pen on the surface
+				return ratio > 0 ? 90 : -90;
+			}
+			return Math.round(Math.atan(ratio / tanAltitude) * 180 / Math.PI);
+		}
+		return {
+			tiltX: tilt(Math.cos(azimuthAngle)),
+			tiltY: tilt(Math.sin(azimuthAngle))
+		};
+	};
+
 	/**
 	 * creates a synthetic click event with properties based on another event.
 	 *
 	 * @param sourceEvent the underlying event which contributes to the creation of this event.
 	 * @param dblClick set to true to generate a dblclick event, otherwise a click event is generated
+	 * @param detail (optional) click count (default: 2 for dblclick, 1 for click)
 	 * @returns {Event} the event (click or dblclick)
 	 */
-	utils.createSyntheticClick = function (sourceEvent, dblClick) {
+	utils.createSyntheticClick = function (sourceEvent, dblClick, detail) {
+		return createSyntheticMouseEvent(dblClick ? "dblclick" : "click", sourceEvent,
+			detail || (dblClick ? 2 : 1), 0); // button property (touch: always 0)
+	};
+
+	/**
+	 * creates a synthetic contextmenu event with properties based on another event.
+	 *
+	 * @param sourceEvent the underlying event which contributes to the creation of this event.
+	 * @returns {Event} the contextmenu event
+	 */
+	utils.createSyntheticContextMenu = function (sourceEvent) {
+		return createSyntheticMouseEvent("contextmenu", sourceEvent, 0, 2); // secondary button
+	};
+
+	/**
+	 * @param type event type name
+	 * @param sourceEvent the underlying event which contributes to the creation of this event.
+	 * @param detail event detail
+	 * @param button event button
+	 * @returns {Event} a bubbling and cancelable mouse event
+	 */
+	function createSyntheticMouseEvent(type, sourceEvent, detail, button) {
 		var e = document.createEvent("MouseEvents");
 		if (e.isTrusted === undefined) { // Android 4.1.1 does not implement isTrusted
 			Object.defineProperty(e, "isTrusted", {
@@ -165,10 +269,10 @@ define([
 				configurable: false
 			});
 		}
-		e.initMouseEvent(dblClick ? "dblclick" : "click", true, // bubbles
+		e.initMouseEvent(type, true, // bubbles
 			true, // cancelable
 			sourceEvent.view,
-			dblClick ? 2 : 1,
+			detail,
 			sourceEvent.screenX,
 			sourceEvent.screenY,
 			sourceEvent.clientX,
@@ -176,10 +280,11 @@ define([
 			sourceEvent.ctrlKey,
 			sourceEvent.altKey,
 			sourceEvent.shiftKey,
-			sourceEvent.metaKey, 0, // button property (touch: always 0)
+			sourceEvent.metaKey,
+			button,
 			null); // no related target
 		return e;
-	};
+	}
 
 	/**
 	 * returns true for a native click event, false for a synthetic click event.
@@ -191,6 +296,71 @@ define([
 		return (e.isTrusted === undefined || e.isTrusted);
 	};
 
+	/**
+	 * Parse a touch-action value:
+	 * auto | none | [ [ pan-x | pan-left | pan-right ] || [ pan-y | pan-up | pan-down ] || pinch-zoom ] | manipulation
+	 *
+	 * @param value touch-action value (for instance "pan-left pan-y")
+	 * @returns Number the touch action bit mask, or null if the value is not valid.
+	 */
+	utils.parseTouchAction = function (value) {
+		var keywords = String(value).trim().toLowerCase().split(/\s+/),
+			result = utils.TouchAction.NONE,
+			groups = [];
+		if (keywords.length === 1) {
+			switch (keywords[0]) {
+			case "auto":
+				return utils.TouchAction.AUTO;
+			case "none":
+				return utils.TouchAction.NONE;
+			case "manipulation":
+				return utils.TouchAction.MANIPULATION;
+			}
+		}
+		for (var i = 0; i < keywords.length; i++) {
+			for (var g = 0; g < touchActionGroups.length; g++) {
+				if (touchActionGroups[g].hasOwnProperty(keywords[i])) {
+					break;
+				}
+			}
+			if (g === touchActionGroups.length || groups.indexOf(g) !== -1) {
+				return null; // unknown keyword or 2 keywords of the same group
+			}
+			groups.push(g);
+			result = result | touchActionGroups[g][keywords[i]];
+		}
+		return result;
+	};
+
+	/**
+	 * returns the canonical touch-action value of a touch action bit mask.
+	 *
+	 * @param touchAction touch action bit mask
+	 * @returns String touch-action value (for instance "pan-left pan-y")
+	 */
+	utils.touchActionToString = function (touchAction) {
+		switch (touchAction) {
+		case utils.TouchAction.AUTO:
+			return "auto";
+		case utils.TouchAction.NONE:
+			return "none";
+		case utils.TouchAction.MANIPULATION:
+			return "manipulation";
+		}
+		var keywords = [];
+		touchActionGroups.forEach(function (group) {
+			// pan-x/pan-y first: the axis value must win over the directions it contains
+			Object.keys(group).some(function (keyword) {
+				if ((touchAction & group[keyword]) === group[keyword]) {
+					keywords.push(keyword);
+					return true;
+				}
+				return false;
+			});
+		});
+		return keywords.join(" ");
+	};
+
 	/**
 	 * returns the value of MouseEvent.buttons from MouseEvent.which.
 	 *
@@ -212,6 +382,152 @@ define([
 		}
 	};
 
+	/**
+	 * creates a DOMException, or an Error with the same name when DOMException is not a constructor.
+	 *
+	 * @param name exception name (for instance "InvalidPointerId")
+	 * @param message exception message
+	 * @returns Error the exception
+	 */
+	utils.createDOMException = function (name, message) {
+		var error;
+		try {
+			error = new window.DOMException(message, name);
+		} catch (e) {
+			error = null;
+		}
+		if (!error || error.name !== name) {
+			error = new Error(message);
+			error.name = name;
+		}
+		return error;
+	};
+
+	/**
+	 * Copies the own properties of the source objects to the target object.
+	 *
+	 * @param target target object
+	 * @returns Object the target object
+	 */
+	utils.mixin = function (target) {
+		for (var i = 1; i < arguments.length; i++) {
+			var source = arguments[i] || {};
+			Object.keys(source).forEach(function (name) {
+				target[name] = source[name];
+			});
+		}
+		return target;
+	};
+
+	/**
+	 * Simple map which uses DOM elements as keys (no WeakMap on the targeted platforms).
+	 * Used to keep per root element state when handlers are registered on several root elements.
+	 */
+	utils.ElementMap = function () {
+		this._keys = [];
+		this._values = [];
+	};
+
+	utils.ElementMap.prototype = {
+		get: function (element) {
+			var i = this._keys.indexOf(element);
+			return (i === -1) ? undefined : this._values[i];
+		},
+
+		set: function (element, value) {
+			var i = this._keys.indexOf(element);
+			if (i === -1) {
+				this._keys.push(element);
+				this._values.push(value);
+			} else {
+				this._values[i] = value;
+			}
+			return value;
+		},
+
+		remove: function (element) {
+			var i = this._keys.indexOf(element);
+			if (i !== -1) {
+				this._keys.splice(i, 1);
+				this._values.splice(i, 1);
+			}
+			return (i !== -1);
+		},
+
+		// calls callback(value, element) for each entry, stops and returns the value for which callback is truthy.
+		find: function (callback) {
+			for (var i = 0; i < this._keys.length; i++) {
+				if (callback(this._values[i], this._keys[i])) {
+					return this._values[i];
+				}
+			}
+			return undefined;
+		},
+
+		// returns the value of the innermost element which is node or one of its ancestors.
+		closest: function (node) {
+			var element = null, value;
+			for (var i = 0; i < this._keys.length; i++) {
+				if (utils.contains(this._keys[i], node) && (!element || utils.contains(element, this._keys[i]))) {
+					element = this._keys[i];
+					value = this._values[i];
+				}
+			}
+			return value;
+		},
+
+		values: function () {
+			return this._values.slice();
+		}
+	};
+
+	/**
+	 * @returns Number the distance between points (x1, y1) and (x2, y2).
+	 */
+	utils.distance = function (x1, y1, x2, y2) {
+		return Math.sqrt((x2 - x1) * (x2 - x1) + (y2 - y1) * (y2 - y1));
+	};
+
+	/**
+	 * returns true if node is rootNode or one of its descendants.
+	 *
+	 * @param rootNode a DOM Element or Document
+	 * @param node a DOM node
+	 * @returns Boolean
+	 */
+	utils.contains = function (rootNode, node) {
+		return !!node && (rootNode === node || !!(rootNode.compareDocumentPosition(node) & 16));
+	};
+
+	/**
+	 * @param overflow value of the overflow-x or overflow-y CSS property
+	 * @returns Boolean true if the overflow value shows a scrollbar when the content overflows.
+	 */
+	utils.isScrollable = function (overflow) {
+		return overflow === "auto" || overflow === "scroll" || overflow === "overlay";
+	};
+
+	/**
+	 * Calls callback before the next repaint (requestAnimationFrame, or a 16ms timer where it is not supported).
+	 *
+	 * @param callback function
+	 * @returns Number the request id, to pass to utils.cancelAnimationFrame().
+	 */
+	utils.requestAnimationFrame = function (callback) {
+		return window.requestAnimationFrame ? window.requestAnimationFrame(callback) : setTimeout(callback, 16);
+	};
+
+	/**
+	 * @param request id returned by utils.requestAnimationFrame()
+	 */
+	utils.cancelAnimationFrame = function (request) {
+		if (window.cancelAnimationFrame) {
+			window.cancelAnimationFrame(request);
+		} else {
+			clearTimeout(request);
+		}
+	};
+
 	/**
 	 * Registers the event handler eventListener on target element targetElement
 	 * for events of type eventName.
@@ -254,20 +570,170 @@ define([
 		if (!(targetElement.dispatchEvent)) {
 			throw new Error("dispatchEvent not supported on targetElement");
 		}
+		if (attributeTypes[event.type]) {
+			listenContentAttributes(targetElement, event);
+		}
 		return targetElement.dispatchEvent(event);
 	};
 
+	// event handlers of an element: {value: handler function, attribute: content attribute it was compiled from}
+	var HANDLERS_PROPERTY = "_dpointerEventHandlers",
+		// marks the objects where onpointerdown is defined by dpointer, for the detection of Pointer Events
+		PROPERTIES_MARKER = "_dpointerEventHandlerProperties",
+		handlerTypes = {}, // pointer event types which support event handlers
+		attributeTypes = {}; // pointer event types which support event handler content attributes (opt-in)
+
+	Object.keys(utils.events).forEach(function (name) {
+		handlerTypes[utils.events[name]] = true;
+	});
+
+	/**
+	 * Define the event handler IDL attributes of pointer events (onpointerdown, ongotpointercapture...) on an
+	 * object which doesn't implement them (Element.prototype, Document.prototype or window).
+	 * Event handlers are called for pointer events dispatched with utils.dispatchEvent. As native event handlers,
+	 * the event is canceled when the handler returns false. Content attributes (<div onpointerup="...">) are
+	 * supported for the event types enabled with utils.setEventHandlerAttributes().
+	 * The target is marked, so that onpointerdown is not mistaken for native support of Pointer Events (see
+	 * handlers/features).
+	 *
+	 * @param target the object where the properties are defined
+	 */
+	utils.defineEventHandlerProperties = function (target) {
+		if (!(("on" + utils.events.DOWN) in target)) {
+			Object.defineProperty(target, PROPERTIES_MARKER, {value: true});
+		}
+		Object.keys(handlerTypes).forEach(function (type) {
+			if (!(("on" + type) in target)) {
+				Object.defineProperty(target, "on" + type, {
+					get: function () {
+						return getEventHandler(this, type);
+					},
+					set: function (value) {
+						setEventHandler(this, type, value);
+					},
+					enumerable: true,
+					configurable: true
+				});
+			}
+		});
+	};
+
+	/**
+	 * @param target element, document or window
+	 * @param type event type
+	 * @returns Function the event handler, or null. The content attribute is compiled if it has changed since the
+	 * last time the handler was set.
+	 */
+	function getEventHandler(target, type) {
+		var handler = (target[HANDLERS_PROPERTY] && target[HANDLERS_PROPERTY][type]) || {value: null, attribute: null},
+			attribute = getContentAttribute(target, type);
+		if (attribute !== handler.attribute) {
+			handler = setEventHandler(target, type,
+				(attribute === null) ? null : compileEventHandler(attribute, target.ownerDocument));
+		}
+		return handler.value;
+	}
+
+	/**
+	 * @param target element, document or window
+	 * @param type event type
+	 * @param value event handler function. Any other value clears the event handler.
+	 * @returns Object the event handler record
+	 */
+	function setEventHandler(target, type, value) {
+		var handlers = target[HANDLERS_PROPERTY] || (target[HANDLERS_PROPERTY] = {});
+		handlers[type] = {
+			value: (typeof value === "function") ? value : null,
+			attribute: getContentAttribute(target, type)
+		};
+		if (handlers[type].value) {
+			// the same listener is registered once per type
+			target.addEventListener(type, callEventHandler, false);
+		}
+		return handlers[type];
+	}
+
+	/**
+	 * Enable the event handler content attributes (<div onpointerup="...">) of pointer events. Dispatching an
+	 * event of an enabled type looks for content attributes on the elements of the event path, so only enable
+	 * the types used in the markup.
+	 *
+	 * @param types Array of event types ("pointerup"...), true for all the pointer event types, or false to disable
+	 * content attributes.
+	 */
+	utils.setEventHandlerAttributes = function (types) {
+		attributeTypes = {};
+		if (types === true) {
+			types = Object.keys(handlerTypes);
+		}
+		(types || []).forEach(function (type) {
+			if (handlerTypes[type]) {
+				attributeTypes[type] = true;
+			}
+		});
+	};
+
+	/**
+	 * @param target element, document or window
+	 * @param type event type
+	 * @returns String the content attribute of the event handler, or null if not set or not enabled.
+	 */
+	function getContentAttribute(target, type) {
+		return (attributeTypes[type] && target.getAttribute) ? target.getAttribute("on" + type) : null;
+	}
+
+	/**
+	 * Compile a content attribute the way the user agent compiles the content attributes of native events: as
+	 * the onclick attribute of a detached element. Inline event handlers are subject to the Content Security Policy
+	 * of the document (unsafe-inline) and the user agent reports syntax errors.
+	 *
+	 * @param source content attribute value
+	 * @param doc document of the element
+	 * @returns Function the event handler (called with the event argument), or null if source is not valid.
+	 */
+	function compileEventHandler(source, doc) {
+		var compiler = doc.createElement("div");
+		compiler.setAttribute("onclick", source);
+		return compiler.onclick || null;
+	}
+
+	/**
+	 * event listener which calls the event handler of the current target.
+	 *
+	 * @param e event
+	 */
+	function callEventHandler(e) {
+		var handler = getEventHandler(this, e.type);
+		if (handler && handler.call(this, e) === false) {
+			e.preventDefault();
+		}
+	}
+
+	/**
+	 * registers the event handler listener on the elements of the event path which have an event handler content
+	 * attribute, before dispatching the event.
+	 *
+	 * @param targetElement DOM element
+	 * @param event event
+	 */
+	function listenContentAttributes(targetElement, event) {
+		for (var node = targetElement; node; node = event.bubbles ? node.parentNode : null) {
+			if (node.hasAttribute && node.hasAttribute("on" + event.type)) {
+				node.addEventListener(event.type, callEventHandler, false);
+			}
+		}
+	}
+
 	/**
 	 * Dispatch pointerleave events.
 	 *
 	 * @param target DOM element
-	 * @param relatedTarget DOM element
+	 * @param relatedTarget DOM element, or null when the pointer leaves the document or is removed (no hover):
+	 * pointerleave is dispatched at target and all its ancestor elements.
 	 * @param syntheticEvent the pointerleave event to dispatch
 	 */
 	utils.dispatchLeaveEvents = function (target, relatedTarget, syntheticEvent) {
-		if (target != null &&
-			relatedTarget != null &&
-			target !== relatedTarget && !(target.compareDocumentPosition(relatedTarget) & 16)) {
+		if (isBoundaryElement(target, relatedTarget)) {
 			return this.dispatchEvent(target, syntheticEvent) &&
 				this.dispatchLeaveEvents(target.parentNode, relatedTarget, syntheticEvent);
 		}
@@ -278,19 +744,29 @@ define([
 	 * Dispatch pointerenter events.
 	 *
 	 * @param target DOM element
-	 * @param relatedTarget DOM element
+	 * @param relatedTarget DOM element, or null when the pointer enters the document or is added (no hover):
+	 * pointerenter is dispatched at all the ancestor elements of target and at target.
 	 * @param syntheticEvent the pointerenter event to dispatch
 	 */
 	utils.dispatchEnterEvents = function (target, relatedTarget, syntheticEvent) {
-		if (target != null &&
-			relatedTarget != null &&
-			target !== relatedTarget && !(target.compareDocumentPosition(relatedTarget) & 16)) {
+		if (isBoundaryElement(target, relatedTarget)) {
 			return this.dispatchEnterEvents(target.parentNode, relatedTarget, syntheticEvent) &&
 				this.dispatchEvent(target, syntheticEvent);
 		}
 		return true;
 	};
 
+	/**
+	 * @param target DOM node
+	 * @param relatedTarget DOM element or null
+	 * @returns Boolean true if the pointer leaves/enters target when it moves to/from relatedTarget: target is an
+	 * element which doesn't contain relatedTarget.
+	 */
+	function isBoundaryElement(target, relatedTarget) {
+		return target != null && target.nodeType === 1 && (relatedTarget == null ||
+			(target !== relatedTarget && !(target.compareDocumentPosition(relatedTarget) & 16)));
+	}
+
 	/**
 	 * @param e event
 	 * @param nativeEvent underlying event which contributes to this pointer event.
@@ -0,0 +1,84 @@
+/**
+ * Estimates the velocity of a pointer from its last positions.
+ *
+ * Positions are kept with their time in a ring buffer. The velocity is the slope of the least squares lines
+ * x(t) and y(t) fitted to the samples of the last moves (within a time horizon), which smooths the jitter of
+ * touch screens better than the difference between the last 2 positions.
+ */
+define([
+], function () {
+	"use strict";
+
+	var CAPACITY = 20, // maximum number of samples
+		HORIZON = 100, // duration in ms of the last moves which determine the velocity
+		MAX_GAP = 40; // a pause longer than this delay in ms between 2 samples resets the velocity
+
+	var VelocityTracker = function () {
+		this.samples = new Array(CAPACITY); // ring buffer of samples {x, y, time}
+		this.next = 0; // index of the next sample in the ring buffer
+		this.size = 0; // number of samples
+	};
+
+	VelocityTracker.prototype = {
+		/**
+		 * Add a position of the pointer.
+		 *
+		 * @param x horizontal position in px
+		 * @param y vertical position in px
+		 * @param time time in ms
+		 */
+		add: function (x, y, time) {
+			this.samples[this.next] = {x: x, y: y, time: time};
+			this.next = (this.next + 1) % CAPACITY;
+			this.size = Math.min(this.size + 1, CAPACITY);
+		},
+
+		/**
+		 * Forget the samples.
+		 */
+		reset: function () {
+			this.next = this.size = 0;
+		},
+
+		/**
+		 * @returns Array the samples of the last moves, from the most recent to the oldest.
+		 */
+		getRecentSamples: function () {
+			var recent = [], sample, previous = null;
+			for (var i = 0; i < this.size; i++) {
+				sample = this.samples[(this.next - 1 - i + CAPACITY) % CAPACITY];
+				if (previous && (previous.time - sample.time > MAX_GAP || recent[0].time - sample.time > HORIZON)) {
+					break;
+				}
+				recent.push(sample);
+				previous = sample;
+			}
+			return recent;
+		},
+
+		/**
+		 * @returns Object the velocity {x, y} in px/ms ({x: 0, y: 0} without enough samples).
+		 */
+		getVelocity: function () {
+			var samples = this.getRecentSamples(), n = samples.length, meanT = 0, meanX = 0, meanY = 0,
+				sumTT = 0, sumTX = 0, sumTY = 0;
+			if (n < 2) {
+				return {x: 0, y: 0};
+			}
+			samples.forEach(function (sample) {
+				meanT += sample.time / n;
+				meanX += sample.x / n;
+				meanY += sample.y / n;
+			});
+			samples.forEach(function (sample) {
+				var dt = sample.time - meanT;
+				sumTT += dt * dt;
+				sumTX += dt * (sample.x - meanX);
+				sumTY += dt * (sample.y - meanY);
+			});
+			return sumTT ? {x: sumTX / sumTT, y: sumTY / sumTT} : {x: 0, y: 0};
+		}
+	};
+
+	return VelocityTracker;
+});
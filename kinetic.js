@@ -0,0 +1,179 @@
+/**
+ * Kinetic momentum: continues a move after the pointer goes up (fling), with a velocity which decreases by
+ * friction until it stops or reaches the bounds.
+ *
+ * Example, with the velocity of the pointer on pointerup:
+ *
+ *	node.addEventListener("pointerup", function (e) {
+ *		kinetic.fling({
+ *			x: scroller.scrollLeft,
+ *			velocityX: -e.velocityX,
+ *			minX: 0,
+ *			maxX: scroller.scrollWidth - scroller.clientWidth,
+ *			onFrame: function (frame) { scroller.scrollLeft = frame.x; }
+ *		});
+ *	});
+ */
+define([
+	"./handlers/utils"
+], function (utils) {
+	"use strict";
+
+	var defaultOptions = {
+		x: 0,
+		y: 0,
+		velocityX: 0, // px/ms
+		velocityY: 0,
+		friction: 0.998, // ratio of the velocity kept after each ms
+		minVelocity: 0.01, // the move stops below this velocity in px/ms
+		minX: -Infinity,
+		maxX: Infinity,
+		minY: -Infinity,
+		maxY: Infinity,
+		onFrame: null, // function (frame) called on each animation frame
+		onEnd: null // function (frame) called when the move stops by itself
+	};
+
+	/**
+	 * Compute the move on an axis after a delay. The velocity is v(t) = v0 * friction^t, so the position is
+	 * x(t) = x0 + v0 * (friction^t - 1) / ln(friction), until the velocity falls below minVelocity.
+	 *
+	 * @param x0 start position
+	 * @param v0 start velocity in px/ms
+	 * @param min minimum position
+	 * @param max maximum position
+	 * @param options friction and minVelocity
+	 * @param elapsed delay in ms since the start
+	 * @returns Object {position, velocity}: velocity is 0 once the move stopped on this axis.
+	 */
+	function computeAxis(x0, v0, min, max, options, elapsed) {
+		var logFriction = Math.log(options.friction),
+			speed = Math.abs(v0),
+			// delay after which the velocity falls below minVelocity
+			duration = (speed > options.minVelocity) ? Math.log(options.minVelocity / speed) / logFriction : 0,
+			t = Math.min(elapsed, duration),
+			position = x0 + v0 * (Math.pow(options.friction, t) - 1) / logFriction,
+			velocity = (t < duration) ? v0 * Math.pow(options.friction, t) : 0;
+		if (position < min || position > max) {
+			return {position: Math.min(Math.max(position, min), max), velocity: 0};
+		}
+		return {position: position, velocity: velocity};
+	}
+
+	/**
+	 * @param options options of a fling (see fling())
+	 * @param elapsed delay in ms since the start of the fling
+	 * @returns Object the frame {x, y, velocityX, velocityY, elapsed, done} of the fling after the delay.
+	 */
+	function computeFrame(options, elapsed) {
+		var x = computeAxis(options.x, options.velocityX, options.minX, options.maxX, options, elapsed),
+			y = computeAxis(options.y, options.velocityY, options.minY, options.maxY, options, elapsed);
+		return {
+			x: x.position,
+			y: y.position,
+			velocityX: x.velocity,
+			velocityY: y.velocity,
+			elapsed: elapsed,
+			done: !x.velocity && !y.velocity
+		};
+	}
+
+	/**
+	 * @param options options of a fling (see fling())
+	 * @returns Object the options with default values.
+	 */
+	function getOptions(options) {
+		options = utils.mixin({}, defaultOptions, options);
+		// the velocity must decrease: without friction (1) the formulas divide by ln(1) = 0, above 1 they diverge
+		if (!(options.friction > 0 && options.friction < 1)) {
+			throw new RangeError("Invalid friction: " + options.friction + " (expected a value between 0 and 1)");
+		}
+		// the duration of the move is ln(minVelocity / velocity) / ln(friction)
+		if (!(options.minVelocity > 0 && isFinite(options.minVelocity))) {
+			throw new RangeError("Invalid minVelocity: " + options.minVelocity + " (expected a positive number)");
+		}
+		["velocityX", "velocityY"].forEach(function (name) {
+			if (!isFinite(options[name])) {
+				throw new RangeError("Invalid " + name + ": " + options[name] + " (expected a finite number)");
+			}
+		});
+		return options;
+	}
+
+	/**
+	 * A fling in progress: calls onFrame on each animation frame until it stops.
+	 *
+	 * @param options options of the fling
+	 */
+	var Fling = function (options) {
+		this.options = options;
+		this.startTime = new Date().getTime();
+		this.tick = this.tick.bind(this);
+		this.frameRequest = utils.requestAnimationFrame(this.tick);
+	};
+
+	Fling.prototype = {
+		tick: function () {
+			var options = this.options, frame = computeFrame(options, new Date().getTime() - this.startTime);
+			this.frameRequest = frame.done ? null : utils.requestAnimationFrame(this.tick);
+			if (options.onFrame) {
+				options.onFrame(frame);
+			}
+			if (frame.done && options.onEnd) {
+				options.onEnd(frame);
+			}
+		},
+
+		/**
+		 * Stop the fling, onEnd is not called.
+		 */
+		stop: function () {
+			if (this.frameRequest !== null) {
+				utils.cancelAnimationFrame(this.frameRequest);
+				this.frameRequest = null;
+			}
+		},
+
+		/**
+		 * @returns Boolean true until the fling stops.
+		 */
+		isRunning: function () {
+			return this.frameRequest !== null;
+		}
+	};
+
+	return {
+		/**
+		 * Start a fling.
+		 *
+		 * @param options
+		 * - x, y: start position (default 0).
+		 * - velocityX, velocityY: start velocity in px/ms (default 0), for instance the velocity of a pointerup
+		 * event.
+		 * - friction: ratio of the velocity kept after each ms, between 0 and 1 exclusive (default 0.998).
+		 * - minVelocity: velocity in px/ms below which the move stops (default 0.01).
+		 * - minX, maxX, minY, maxY: bounds of the position (default: no bounds). The move stops on an axis when
+		 * it reaches a bound.
+		 * - onFrame: function (frame) called on each animation frame with {x, y, velocityX, velocityY, elapsed,
+		 * done}.
+		 * - onEnd: function (frame) called with the last frame when the move stops by itself.
+		 * @returns Object the fling: call stop() to interrupt it (for instance on the next pointerdown).
+		 * @throws RangeError if the friction is not between 0 and 1, minVelocity is not a positive number or a
+		 * velocity is not a finite number.
+		 */
+		fling: function (options) {
+			return new Fling(getOptions(options));
+		},
+
+		/**
+		 * @param options options of a fling (see fling())
+		 * @param elapsed delay in ms since the start of the fling
+		 * @returns Object the frame {x, y, velocityX, velocityY, elapsed, done} of the fling after the delay.
+		 * @throws RangeError if the friction is not between 0 and 1, minVelocity is not a positive number or a
+		 * velocity is not a finite number.
+		 */
+		computeFrame: function (options, elapsed) {
+			return computeFrame(getOptions(options), elapsed);
+		}
+	};
+});
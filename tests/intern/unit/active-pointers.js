@@ -0,0 +1,111 @@
+define([
+	"intern!object",
+	"intern/chai!assert",
+	"dpointer/events",
+	"dpointer/handlers/touchAction",
+	"dpointer/handlers/utils",
+	"../TestUtils"
+], function (registerSuite, assert, pointerEvents, touchAction, utils) {
+	var node, other;
+
+	function fire(target, type, pointerId, x, y, pointerType) {
+		target.dispatchEvent(new window.PointerEvent(type, {
+			bubbles: true,
+			cancelable: true,
+			pointerId: pointerId,
+			pointerType: pointerType || "touch",
+			isPrimary: pointerId === 2,
+			clientX: x,
+			clientY: y,
+			buttons: (type === "pointerup" || type === "pointercancel") ? 0 : 1
+		}));
+	}
+
+	registerSuite({
+		name: "activePointers",
+
+		beforeEach: function () {
+			node = document.createElement("div");
+			other = document.createElement("div");
+			document.body.appendChild(node);
+			document.body.appendChild(other);
+		},
+
+		afterEach: function () {
+			document.body.removeChild(node);
+			document.body.removeChild(other);
+		},
+
+		"registry": function () {
+			fire(other, "pointerdown", 3, 50, 60);
+			fire(node, "pointerdown", 2, 10, 20);
+			var pointers = pointerEvents.getActivePointers();
+			assert.deepEqual(pointers.map(function (pointer) {
+				return pointer.pointerId + ":" + pointer.pointerType + ":" + pointer.isPrimary + "@" +
+					pointer.clientX + "," + pointer.clientY + ":" + pointer.buttons;
+			}), ["2:touch:true@10,20:1", "3:touch:false@50,60:1"], "sorted by pointerId");
+			assert.strictEqual(pointers[0].target, node, "target");
+			assert.isNull(pointers[0].captureTarget, "captureTarget");
+			fire(node, "pointermove", 2, 15, 25);
+			fire(node, "gotpointercapture", 2, 15, 25);
+			var pointer = pointerEvents.getPointer(2);
+			assert.strictEqual(pointer.clientX, 15, "moved");
+			assert.strictEqual(pointer.captureTarget, node, "captured");
+			fire(node, "lostpointercapture", 2, 15, 25);
+			assert.isNull(pointerEvents.getPointer(2).captureTarget, "released");
+			fire(node, "pointerup", 2, 15, 25);
+			assert.isNull(pointerEvents.getPointer(2), "removed on pointerup");
+			fire(other, "pointercancel", 3, 50, 60);
+			assert.deepEqual(pointerEvents.getActivePointers(), [], "removed on pointercancel");
+		},
+
+		"snapshots": function () {
+			fire(node, "pointerdown", 2, 10, 20);
+			var snapshot = pointerEvents.getPointer(2);
+			snapshot.clientX = 100;
+			fire(node, "pointermove", 2, 30, 20);
+			assert.strictEqual(snapshot.clientX, 100, "snapshot not updated");
+			assert.strictEqual(pointerEvents.getPointer(2).clientX, 30, "registry not changed by the snapshot");
+			assert.isNumber(snapshot.velocityX, "velocityX");
+			assert.isNumber(snapshot.startTime, "startTime");
+			fire(node, "pointerup", 2, 30, 20);
+		},
+
+		"nested roots": function () {
+			pointerEvents.enable(node, {handlers: [], touchActionCSS: false});
+			try {
+				fire(node, "pointerdown", 2, 10, 20);
+				fire(node, "pointermove", 2, 30, 20);
+				assert.deepEqual(pointerEvents.getActivePointers().map(function (pointer) {
+					return pointer.pointerId;
+				}), [2], "pointer tracked once");
+			} finally {
+				pointerEvents.disable(node);
+			}
+			assert.strictEqual(pointerEvents.getPointer(2).clientX, 30, "still tracked in the document");
+			fire(node, "pointerup", 2, 30, 20);
+			assert.isNull(pointerEvents.getPointer(2), "removed on pointerup");
+		},
+
+		"touch action resolved on demand": function () {
+			var resolve = touchAction.resolve, targets = [];
+			touchAction.resolve = function (element) {
+				targets.push(element);
+				return resolve.apply(this, arguments);
+			};
+			try {
+				node.setAttribute(utils.TouchAction.ATTR_NAME, "pan-y");
+				fire(node, "pointerdown", 2, 10, 20);
+				fire(node, "pointermove", 2, 10, 30);
+				assert.deepEqual(targets, [], "not resolved on pointerdown");
+				assert.strictEqual(pointerEvents.getPointer(2).touchAction, utils.TouchAction.PAN_Y, "touchAction");
+				assert.strictEqual(pointerEvents.getActivePointers()[0].touchAction, utils.TouchAction.PAN_Y,
+					"touchAction");
+				assert.deepEqual(targets, [node], "resolved once from the target of pointerdown");
+				fire(node, "pointerup", 2, 10, 30);
+			} finally {
+				touchAction.resolve = resolve;
+			}
+		}
+	});
+});
@@ -1,5 +1,15 @@
 // dpointer unit tests
 define([
 	//"./tests-infra"
-	"./dpointer-utils"
+	"./dpointer-utils",
+	"./touch-action",
+	"./mouse",
+	"./touch",
+	"./pointer-ids",
+	"./mspointer",
+	"./active-pointers",
+	"./gestures",
+	"./velocity",
+	"./dnd",
+	"./init"
 ]);
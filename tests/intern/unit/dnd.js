@@ -0,0 +1,153 @@
+define([
+	"intern!object",
+	"intern/chai!assert",
+	"dpointer/dnd",
+	"../TestUtils"
+], function (registerSuite, assert, dnd) {
+	var container, source, target, handles, log,
+		types = ["dndstart", "dndenter", "dndover", "dndleave", "dnddrop", "dndend"];
+
+	function fire(type, x, y, pointerType) {
+		var e = new window.PointerEvent(type, {
+			bubbles: true,
+			cancelable: true,
+			pointerId: 1,
+			pointerType: pointerType || "mouse",
+			button: 0,
+			clientX: x,
+			clientY: y
+		});
+		source.dispatchEvent(e);
+		return e;
+	}
+
+	// returns true if the default action of a selectstart or dragstart event fired at the source is prevented
+	function isPrevented(type) {
+		var e = document.createEvent("Event");
+		e.initEvent(type, true, true);
+		source.dispatchEvent(e);
+		return e.defaultPrevented;
+	}
+
+	function logEvent(e) {
+		var entry = e.type + "@" + e.target.id;
+		if (e.type === "dndend") {
+			entry += (e.detail.dropped ? ":dropped" : "") + (e.detail.canceled ? ":canceled" : "");
+		}
+		log.push(entry);
+	}
+
+	function createBox(id, left) {
+		var box = document.createElement("div");
+		box.id = id;
+		box.style.cssText = "position: fixed; top: 0; width: 50px; height: 50px; left: " + left + "px";
+		container.appendChild(box);
+		return box;
+	}
+
+	function getAvatars() {
+		return Array.prototype.filter.call(document.body.children, function (child) {
+			return child.style.pointerEvents === "none" && child.style.position === "fixed";
+		});
+	}
+
+	registerSuite({
+		name: "dnd",
+
+		beforeEach: function () {
+			container = document.createElement("div");
+			document.body.appendChild(container);
+			source = createBox("source", 0);
+			target = createBox("target", 100);
+			handles = [];
+			log = [];
+			types.forEach(function (type) {
+				document.addEventListener(type, logEvent, false);
+			});
+		},
+
+		afterEach: function () {
+			handles.forEach(function (handle) {
+				handle.destroy();
+			});
+			types.forEach(function (type) {
+				document.removeEventListener(type, logEvent, false);
+			});
+			document.body.removeChild(container);
+		},
+
+		"drag and drop": function () {
+			handles.push(dnd.draggable(source, {data: "apple"}), dnd.dropTarget(target));
+			var data;
+			target.addEventListener("dnddrop", function (e) {
+				data = e.detail.data;
+			});
+			fire("pointerdown", 10, 10);
+			fire("pointermove", 12, 10);
+			assert.deepEqual(log, [], "below the threshold");
+			fire("pointermove", 110, 10);
+			assert.deepEqual(log, ["dndstart@source", "dndenter@target", "dndover@target"], "drag over the target");
+			var avatars = getAvatars();
+			assert.strictEqual(avatars.length, 1, "avatar");
+			assert.strictEqual(avatars[0].style.left, "100px", "avatar keeps the position of the pointer");
+			assert.isFalse(avatars[0].hasAttribute("id"), "avatar id");
+			log = [];
+			fire("pointerup", 110, 10);
+			assert.deepEqual(log, ["dnddrop@target", "dndend@source:dropped"], "drop");
+			assert.strictEqual(data, "apple", "data");
+			assert.strictEqual(getAvatars().length, 0, "avatar removed");
+		},
+
+		"leave and accept": function () {
+			handles.push(dnd.draggable(source, {data: "stone", avatar: false}), dnd.dropTarget(target),
+				dnd.dropTarget(container, {accept: function (detail) {
+					return detail.data !== "stone";
+				}}));
+			fire("pointerdown", 10, 10);
+			fire("pointermove", 110, 10);
+			fire("pointermove", 300, 300);
+			assert.deepEqual(log, ["dndstart@source", "dndenter@target", "dndover@target", "dndleave@target"],
+				"leave");
+			assert.strictEqual(getAvatars().length, 0, "no avatar");
+			log = [];
+			fire("pointerup", 300, 300);
+			assert.deepEqual(log, ["dndend@source"], "not dropped");
+		},
+
+		"cancel": function () {
+			handles.push(dnd.draggable(source), dnd.dropTarget(target));
+			fire("pointerdown", 10, 10);
+			fire("pointermove", 110, 10);
+			log = [];
+			fire("pointercancel", 110, 10);
+			assert.deepEqual(log, ["dndleave@target", "dndend@source:canceled"]);
+			assert.strictEqual(getAvatars().length, 0, "avatar removed");
+		},
+
+		"prevent dndstart": function () {
+			handles.push(dnd.draggable(source), dnd.dropTarget(target));
+			source.addEventListener("dndstart", function (e) {
+				e.preventDefault();
+			});
+			fire("pointerdown", 10, 10);
+			fire("pointermove", 110, 10);
+			fire("pointerup", 110, 10);
+			assert.deepEqual(log, ["dndstart@source"]);
+			assert.strictEqual(getAvatars().length, 0, "no avatar");
+		},
+
+		"text selection and native drag": function () {
+			handles.push(dnd.draggable(source));
+			assert.isTrue(fire("pointerdown", 10, 10).defaultPrevented, "mouse pointerdown prevented");
+			assert.isTrue(isPrevented("selectstart"), "selectstart");
+			assert.isTrue(isPrevented("dragstart"), "dragstart");
+			fire("pointerup", 10, 10);
+			assert.isFalse(isPrevented("selectstart"), "selectstart after pointerup");
+			assert.isFalse(isPrevented("dragstart"), "dragstart after pointerup");
+			assert.isFalse(fire("pointerdown", 10, 10, "touch").defaultPrevented, "touch pointerdown not prevented");
+			assert.isTrue(isPrevented("selectstart"), "selectstart (touch)");
+			fire("pointercancel", 10, 10, "touch");
+			assert.isFalse(isPrevented("selectstart"), "selectstart after pointercancel");
+		}
+	});
+});
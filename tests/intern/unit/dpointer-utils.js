@@ -2,14 +2,16 @@ define([
 	"intern!object",
 	"intern/chai!assert",
 	"dpointer/handlers/utils",
+	"dpointer/handlers/features",
+	"dpointer/events",
 	"../TestUtils"
-], function (registerSuite, assert, utils) {
+], function (registerSuite, assert, utils, has) {
 
 	registerSuite({
 		name: "SyntheticPointer",
 		// create a synthetic pointer and check that properties are well defined and equal to expected values.
 		"check properties": function () {
-			if ("onpointerdown" in document) {
+			if (has("pointer-events")) {
 				// current platform supports Pointer Events.
 				console.log("==> Skipping tests because Pointer Events are supported natively");
 				return;
@@ -65,6 +67,106 @@ define([
 				console.log(name + " [" + eventProps[name] + "] is [" + event[name] + "]");
 				assert.strictEqual(eventProps[name], event[name], name);
 			});
+			assert.strictEqual(event.pressure, 0.5, "pressure of a button without pressure support");
+			assert.strictEqual(event.width, 1, "default width");
+		},
+
+		// create a pointer event from a PointerEventInit dictionary.
+		"PointerEvent constructor": function () {
+			var event = new utils.PointerEvent("pointermove", {
+				bubbles: true,
+				clientX: 12,
+				clientY: 13,
+				pointerId: 3,
+				pointerType: "pen",
+				isPrimary: true,
+				buttons: 1,
+				pressure: 0.8
+			});
+			assert.strictEqual(event.type, "pointermove", "type");
+			assert.isTrue(event.bubbles, "bubbles");
+			assert.isFalse(event.cancelable, "cancelable");
+			assert.strictEqual(event.clientX, 12, "clientX");
+			assert.strictEqual(event.clientY, 13, "clientY");
+			assert.strictEqual(event.pointerId, 3, "pointerId");
+			assert.strictEqual(event.pointerType, "pen", "pointerType");
+			assert.isTrue(event.isPrimary, "isPrimary");
+			assert.strictEqual(event.buttons, 1, "buttons");
+			assert.strictEqual(event.pressure, 0.8, "pressure");
+
+			event = new utils.PointerEvent("pointerdown");
+			assert.isFalse(event.bubbles, "default bubbles");
+			assert.strictEqual(event.pointerId, 0, "default pointerId");
+			assert.strictEqual(event.pointerType, "", "default pointerType");
+			assert.strictEqual(event.pressure, 0, "default pressure");
+			assert.strictEqual(event.width, 1, "default width");
+			assert.strictEqual(event.height, 1, "default height");
+
+			// the pressure of hardware without pressure support doesn't apply to constructed events
+			event = new utils.PointerEvent("pointerdown", {buttons: 1});
+			assert.strictEqual(event.pressure, 0, "pressure with buttons");
+
+			var target = document.createElement("div"), received = null;
+			target.addEventListener("pointerdown", function (e) {
+				received = e;
+			});
+			target.dispatchEvent(event);
+			assert.strictEqual(received, event, "dispatched event");
+		},
+
+		// event handler IDL and content attributes are called for events dispatched by utils.dispatchEvent.
+		"event handler attributes": function () {
+			if (has("pointer-events")) {
+				console.log("==> Skipping tests because Pointer Events are supported natively");
+				return;
+			}
+			var parent = document.createElement("div"),
+				child = document.createElement("span"),
+				log = [];
+			parent.appendChild(child);
+			// element, document and window properties: feature detections agree
+			assert.isTrue("onpointerup" in child, "element property");
+			assert.isTrue("onpointerup" in document, "document property");
+			assert.isTrue("onpointerup" in window, "window property");
+			window._dpointerTestLog = log;
+			parent.setAttribute("onpointerup", "window._dpointerTestLog.push(event.type); return false;");
+			parent.setAttribute("onpointerdown", "window._dpointerTestLog.push(event.type);");
+			assert.isNull(parent.onpointerup, "content attributes are not enabled");
+			utils.setEventHandlerAttributes(["pointerup"]);
+			child.onpointerup = function (e) {
+				log.push(this === child);
+				assert.strictEqual(e.currentTarget, child, "currentTarget");
+			};
+
+			var event = new utils.PointerEvent("pointerup", {bubbles: true, cancelable: true});
+			assert.isFalse(utils.dispatchEvent(child, event), "canceled by return false");
+			assert.deepEqual(log, [true, "pointerup"], "handlers called");
+			assert.isFunction(parent.onpointerup, "compiled content attribute");
+
+			child.onpointerup = null;
+			parent.removeAttribute("onpointerup");
+			log.length = 0;
+			assert.isTrue(utils.dispatchEvent(child, new utils.PointerEvent("pointerup", {bubbles: true})));
+			assert.deepEqual(log, [], "handlers removed");
+			assert.isNull(parent.onpointerup, "no handler");
+			utils.dispatchEvent(child, new utils.PointerEvent("pointerdown", {bubbles: true}));
+			assert.deepEqual(log, [], "pointerdown attribute not enabled");
+			utils.setEventHandlerAttributes(false);
+			delete window._dpointerTestLog;
+		},
+
+		// pen orientation: altitude/azimuth angles to tilt angles.
+		"altitude and azimuth to tilt": function () {
+			var tilt = function (altitudeAngle, azimuthAngle) {
+				var t = utils.altitudeAzimuthToTilt(altitudeAngle, azimuthAngle);
+				return [t.tiltX, t.tiltY];
+			};
+			assert.deepEqual(tilt(Math.PI / 2, 0), [0, 0], "perpendicular");
+			assert.deepEqual(tilt(Math.PI / 4, 0), [45, 0], "tilted right");
+			assert.deepEqual(tilt(Math.PI / 4, Math.PI / 2), [0, 45], "tilted toward the user");
+			assert.deepEqual(tilt(Math.PI / 4, Math.PI), [-45, 0], "tilted left");
+			assert.deepEqual(tilt(0, 3 * Math.PI / 2), [0, -90], "on the surface, away from the user");
+			assert.deepEqual(tilt(0, Math.PI / 4), [90, 90], "on the surface, diagonal");
 		}
 	});
 });
\ No newline at end of file
@@ -0,0 +1,251 @@
+define([
+	"intern!object",
+	"intern/chai!assert",
+	"dpointer/events",
+	"dpointer/gestures",
+	"../TestUtils"
+], function (registerSuite, assert, pointerEvents, gestures) {
+	var node, recognizers, log;
+
+	function fire(type, pointerId, x, y, pointerType) {
+		node.dispatchEvent(new window.PointerEvent(type, {
+			bubbles: true,
+			cancelable: true,
+			pointerId: pointerId,
+			pointerType: pointerType || "mouse",
+			clientX: x,
+			clientY: y
+		}));
+	}
+
+	function listen(types) {
+		types.forEach(function (type) {
+			node.addEventListener(type, function (e) {
+				log.push(e.type + (e.detail.count ? ":" + e.detail.count : ""));
+			});
+		});
+	}
+
+	function add(type, options) {
+		var recognizer = gestures.add(node, type, options);
+		recognizers.push(recognizer);
+		return recognizer;
+	}
+
+	registerSuite({
+		name: "Gestures",
+
+		beforeEach: function () {
+			node = document.createElement("div");
+			document.body.appendChild(node);
+			recognizers = [];
+			log = [];
+		},
+
+		afterEach: function () {
+			recognizers.forEach(function (recognizer) {
+				gestures.remove(node, recognizer);
+			});
+			document.body.removeChild(node);
+		},
+
+		"add and remove": function () {
+			var tap = add("tap");
+			assert.deepEqual(gestures.getRecognizers(node), [tap], "added");
+			gestures.remove(node, tap);
+			recognizers = [];
+			assert.deepEqual(gestures.getRecognizers(node), [], "removed");
+			assert.throws(function () {
+				gestures.add(node, "unknown");
+			}, Error);
+		},
+
+		"tap and doubletap": function () {
+			add("tap", {slop: 5});
+			listen(["tap", "doubletap"]);
+			fire("pointerdown", 1, 10, 10);
+			fire("pointerup", 1, 12, 10);
+			fire("pointerdown", 1, 12, 10);
+			fire("pointerup", 1, 12, 10);
+			assert.deepEqual(log, ["tap:1", "tap:2", "doubletap:2"]);
+			// moved beyond slop: not a tap
+			log = [];
+			fire("pointerdown", 1, 100, 10);
+			fire("pointermove", 1, 110, 10);
+			fire("pointerup", 1, 110, 10);
+			assert.deepEqual(log, []);
+		},
+
+		"tap with several pointers": function () {
+			add("tap");
+			listen(["tap"]);
+			fire("pointerdown", 2, 10, 10, "touch");
+			fire("pointerdown", 3, 50, 10, "touch");
+			fire("pointerup", 2, 10, 10, "touch");
+			fire("pointerup", 3, 50, 10, "touch");
+			assert.deepEqual(log, []);
+		},
+
+		"pan": function () {
+			add("pan", {threshold: 10});
+			var details = [];
+			["panstart", "panmove", "panend"].forEach(function (type) {
+				node.addEventListener(type, function (e) {
+					details.push(e.type + ":" + e.detail.deltaX + "," + e.detail.deltaY);
+				});
+			});
+			fire("pointerdown", 1, 10, 10);
+			fire("pointermove", 1, 15, 10);
+			fire("pointermove", 1, 25, 10);
+			fire("pointermove", 1, 30, 12);
+			fire("pointerup", 1, 30, 12);
+			assert.deepEqual(details, ["panstart:15,0", "panmove:20,2", "panend:20,2"]);
+		},
+
+		"pan direction and touch-action": function () {
+			add("pan", {direction: "horizontal"});
+			listen(["panstart"]);
+			fire("pointerdown", 1, 10, 10);
+			fire("pointermove", 1, 10, 40);
+			fire("pointerup", 1, 10, 40);
+			assert.deepEqual(log, [], "vertical pan");
+
+			// the user agent pans vertically
+			pointerEvents.setTouchAction(node, "pan-y");
+			gestures.remove(node, recognizers.pop());
+			add("pan");
+			fire("pointerdown", 2, 10, 10, "touch");
+			fire("pointermove", 2, 10, 40, "touch");
+			fire("pointerup", 2, 10, 40, "touch");
+			assert.deepEqual(log, [], "touch-action: pan-y");
+			fire("pointerdown", 2, 10, 10, "touch");
+			fire("pointermove", 2, 40, 10, "touch");
+			fire("pointerup", 2, 40, 10, "touch");
+			assert.deepEqual(log, ["panstart"], "horizontal pan");
+		},
+
+		"transform": function () {
+			pointerEvents.setTouchAction(node, "none");
+			add("transform", {threshold: 5});
+			var details = [];
+			["transformstart", "transformchange", "transformend"].forEach(function (type) {
+				node.addEventListener(type, function (e) {
+					details.push(e);
+				});
+			});
+			// pinch: the spread doubles and rotates by 90 degrees around the centroid (0, 0)
+			fire("pointerdown", 2, -10, 0, "touch");
+			fire("pointerdown", 3, 10, 0, "touch");
+			fire("pointermove", 2, 0, -20, "touch");
+			fire("pointermove", 3, 0, 20, "touch");
+			assert.strictEqual(details.length, 2, "start and change");
+			assert.strictEqual(details[0].type, "transformstart");
+			var detail = details[1].detail;
+			assert.closeTo(detail.scale, 2, 0.001, "scale");
+			assert.closeTo(detail.rotation, 90, 0.001, "rotation");
+			assert.closeTo(detail.translationX, 0, 0.001, "translationX");
+			assert.closeTo(detail.translationY, 0, 0.001, "translationY");
+
+			// a third pointer joins at the centroid, then the first pointer leaves: no jump
+			fire("pointerdown", 4, 0, 0, "touch");
+			fire("pointerup", 2, 0, -20, "touch");
+			fire("pointermove", 4, 10, 0, "touch");
+			detail = details[details.length - 1].detail;
+			assert.strictEqual(detail.pointers, 2, "pointers");
+			assert.closeTo(detail.deltaX, 5, 0.001, "incremental translation");
+			assert.closeTo(detail.translationX, 5, 0.001, "cumulative translation");
+
+			// not enough pointers
+			fire("pointerup", 3, 0, 20, "touch");
+			assert.strictEqual(details[details.length - 1].type, "transformend");
+			fire("pointerup", 4, 10, 0, "touch");
+		},
+
+		"exclusive recognizers": function () {
+			var child = document.createElement("div");
+			node.appendChild(child);
+			add("pan", {threshold: 5});
+			var childPan = gestures.add(child, "pan", {threshold: 30});
+			listen(["panstart", "panend"]);
+			child.addEventListener("panstart", function (e) {
+				e.stopPropagation();
+				log.push("child " + e.type);
+			});
+			// the pan of the parent claims the pointer before the pan of the child
+			child.dispatchEvent(new window.PointerEvent("pointerdown", {
+				bubbles: true,
+				pointerId: 1,
+				pointerType: "mouse",
+				clientX: 10,
+				clientY: 10
+			}));
+			fire("pointermove", 1, 20, 10);
+			assert.strictEqual(childPan.state, "failed", "child state");
+			fire("pointermove", 1, 50, 10);
+			fire("pointerup", 1, 50, 10);
+			assert.deepEqual(log, ["panstart", "panend"]);
+			gestures.remove(child, childPan);
+		},
+
+		"require failure": function () {
+			var tap = add("tap"),
+				press = add("press", {delay: 1000});
+			tap.requireFailure(press);
+			listen(["tap", "press"]);
+			// the tap waits until the press fails
+			fire("pointerdown", 1, 10, 10);
+			fire("pointerup", 1, 10, 10);
+			assert.deepEqual(log, ["tap:1"]);
+			assert.strictEqual(press.state, "failed", "press state");
+			assert.strictEqual(tap.state, "recognized", "tap state");
+		},
+
+		"require failure of a recognizer tracking other pointers": function () {
+			var other = document.createElement("div");
+			document.body.appendChild(other);
+			function fireOther(type) {
+				other.dispatchEvent(new window.PointerEvent(type, {
+					bubbles: true,
+					cancelable: true,
+					pointerId: 2,
+					pointerType: "touch",
+					clientX: 100,
+					clientY: 100
+				}));
+			}
+			var tap = add("tap"),
+				press = gestures.add(other, "press", {delay: 1000});
+			tap.requireFailure(press);
+			listen(["tap"]);
+			// a pointer is down on the other element: the press is possible
+			fireOther("pointerdown");
+			fire("pointerdown", 3, 10, 10, "touch");
+			fire("pointerup", 3, 10, 10, "touch");
+			assert.deepEqual(log, ["tap:1"], "the tap doesn't wait for the press of another pointer");
+			assert.strictEqual(press.state, "possible", "press state");
+			fireOther("pointerup");
+			gestures.remove(other, press);
+			document.body.removeChild(other);
+		},
+
+		"require failure with overlapping pointers": function () {
+			var tap = add("tap"),
+				press = add("press", {delay: 1000});
+			tap.requireFailure(press);
+			listen(["tap", "press"]);
+			fire("pointerdown", 2, 10, 10, "touch");
+			fire("pointerdown", 3, 50, 10, "touch");
+			fire("pointerup", 2, 10, 10, "touch");
+			// pointer 3 is still down: the new pointer doesn't start a new gesture
+			fire("pointerdown", 4, 10, 10, "touch");
+			assert.strictEqual(tap.state, "failed", "tap state");
+			assert.strictEqual(press.state, "failed", "press state");
+			fire("pointerup", 4, 10, 10, "touch");
+			fire("pointerup", 3, 50, 10, "touch");
+			assert.deepEqual(log, [], "no tap while other pointers are down");
+			fire("pointerdown", 2, 10, 10, "touch");
+			fire("pointerup", 2, 10, 10, "touch");
+			assert.deepEqual(log, ["tap:1"], "new gesture");
+		}
+	});
+});
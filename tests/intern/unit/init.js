@@ -0,0 +1,130 @@
+define([
+	"require",
+	"intern!object",
+	"intern/chai!assert",
+	"dpointer/handlers/features",
+	"dpointer/events",
+	"../TestUtils"
+], function (require, registerSuite, assert, has, pointerEvents) {
+	if (has("pointer-events") || has("mspointer-events")) {
+		console.log("==> Skipping init tests because Pointer Events are supported natively");
+		return;
+	}
+
+	var node, iframe, listeners, contexts = 0,
+		// touch-action CSS rules are inserted only when the browser supports them
+		cssSupported = has("css-touch-action") || has("css-ms-touch-action");
+
+	// load a new instance of dpointer/events with the given loader configuration
+	function loadEvents(config, callback) {
+		var contextRequire = window.requirejs.config({
+			context: "dpointer-init-" + (++contexts),
+			paths: {
+				dpointer: require.toUrl("dpointer"),
+				"requirejs-dplugins": require.toUrl("requirejs-dplugins")
+			},
+			config: {"dpointer/events": config}
+		});
+		contextRequire(["dpointer/events"], callback);
+	}
+
+	// record the types of the event listeners added to target
+	function spyListeners(target) {
+		var types = [], addEventListener = target.addEventListener;
+		target.addEventListener = function (type) {
+			types.push(type);
+			return addEventListener.apply(this, arguments);
+		};
+		return types;
+	}
+
+	function countStyles(doc) {
+		return doc.getElementsByTagName("style").length;
+	}
+
+	registerSuite({
+		name: "init",
+
+		beforeEach: function () {
+			node = document.createElement("div");
+			document.body.appendChild(node);
+			listeners = spyListeners(node);
+			iframe = document.createElement("iframe");
+			document.body.appendChild(iframe);
+		},
+
+		afterEach: function () {
+			delete document.addEventListener; // spied by some tests
+			document.body.removeChild(node);
+			document.body.removeChild(iframe);
+		},
+
+		"autoEnable: false": function () {
+			var dfd = this.async(5000), doc = iframe.contentDocument, docListeners = spyListeners(doc),
+				mainListeners = spyListeners(document), styles = countStyles(document);
+			loadEvents({autoEnable: false, handlers: ["mouse"]}, dfd.callback(function (events) {
+				assert.deepEqual(events._roots, [], "no root element");
+				assert.deepEqual(mainListeners, [], "no handler registered on the document");
+				assert.strictEqual(countStyles(document), styles, "no CSS rule in the document");
+				events.init({root: doc});
+				try {
+					assert.deepEqual(events._roots.map(function (root) {
+						return root.element;
+					}), [doc], "root element");
+					assert.include(docListeners, "mousedown", "mouse handlers");
+					assert.notInclude(docListeners, "contextmenu", "handlers from the loader configuration");
+					assert.strictEqual(countStyles(doc), cssSupported ? 1 : 0, "CSS rules inserted by init()");
+				} finally {
+					events.disable(doc);
+				}
+			}));
+		},
+
+		"handlers": function () {
+			pointerEvents.init({root: node, handlers: ["touch"], touchActionCSS: false});
+			try {
+				assert.include(listeners, "touchstart", "touch handlers");
+				assert.include(listeners, "contextmenu", "touch handlers");
+				assert.notInclude(listeners, "mousedown", "no mouse handlers");
+			} finally {
+				pointerEvents.disable(node);
+			}
+			listeners.length = 0;
+			pointerEvents.init({root: node, handlers: ["mouse", "unknown"], touchActionCSS: false});
+			try {
+				assert.include(listeners, "mousedown", "mouse handlers");
+				assert.notInclude(listeners, "contextmenu", "no touch handlers");
+				assert.deepEqual(pointerEvents._roots.filter(function (root) {
+					return root.element === node;
+				})[0].handlers, ["mouse"], "unknown handlers ignored");
+			} finally {
+				pointerEvents.disable(node);
+			}
+		},
+
+		"root": function () {
+			var roots = pointerEvents._roots.length;
+			pointerEvents.init({root: node, touchActionCSS: false});
+			try {
+				assert.strictEqual(pointerEvents._roots.length, roots + 1, "root element added");
+				assert.include(listeners, "mousedown", "default handlers registered on the root element");
+			} finally {
+				pointerEvents.disable(node);
+			}
+			assert.strictEqual(pointerEvents._roots.length, roots, "root element removed by disable()");
+		},
+
+		"touchActionCSS": function () {
+			var doc = iframe.contentDocument;
+			pointerEvents.init({root: doc, touchActionCSS: false});
+			pointerEvents.disable(doc);
+			assert.strictEqual(countStyles(doc), 0, "no CSS rule when touchActionCSS is false");
+			pointerEvents.init({root: doc});
+			pointerEvents.disable(doc);
+			assert.strictEqual(countStyles(doc), cssSupported ? 1 : 0, "CSS rules inserted in the document of root");
+			pointerEvents.init({root: doc});
+			pointerEvents.disable(doc);
+			assert.strictEqual(countStyles(doc), cssSupported ? 1 : 0, "CSS rules inserted once per document");
+		}
+	});
+});
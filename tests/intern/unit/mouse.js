@@ -0,0 +1,378 @@
+define([
+	"intern!object",
+	"intern/chai!assert",
+	"dpointer/handlers/features",
+	"dpointer/events",
+	"../TestUtils"
+], function (registerSuite, assert, has, pointerEvents) {
+	if (has("pointer-events") || has("mspointer-events")) {
+		console.log("==> Skipping mouse tests because Pointer Events are supported natively");
+		return;
+	}
+
+	var container, a, b, log,
+		types = ["pointerover", "pointerenter", "pointerdown", "pointermove", "pointerup", "pointercancel",
+			"pointerout", "pointerleave", "gotpointercapture", "lostpointercapture"];
+
+	function fire(type, target, button, buttons, relatedTarget) {
+		target.dispatchEvent(new window.MouseEvent(type, {
+			bubbles: true,
+			cancelable: true,
+			view: window,
+			clientX: 10,
+			clientY: 10,
+			button: button || 0,
+			buttons: buttons || 0,
+			relatedTarget: relatedTarget || null
+		}));
+	}
+
+	// move the mouse from one element to another one: mouseout > mouseover > mousemove
+	function move(from, to, buttons) {
+		fire("mouseout", from, 0, buttons, to);
+		fire("mouseover", to, 0, buttons, from);
+		fire("mousemove", to, 0, buttons);
+	}
+
+	function logEvent(e) {
+		log.push(e.type.replace(/^pointer/, "") + "@" + e.target.id);
+	}
+
+	function createBox(id, left) {
+		var box = document.createElement("div");
+		box.id = id;
+		box.style.cssText = "position: fixed; top: 0; width: 50px; height: 50px; left: " + left + "px";
+		container.appendChild(box);
+		return box;
+	}
+
+	registerSuite({
+		name: "mouse",
+
+		beforeEach: function () {
+			container = document.createElement("div");
+			container.id = "container";
+			document.body.appendChild(container);
+			a = createBox("a", 0);
+			b = createBox("b", 100);
+			pointerEvents.enable(container, {handlers: ["mouse"], touchActionCSS: false});
+			log = [];
+			types.forEach(function (type) {
+				container.addEventListener(type, logEvent, true);
+			});
+		},
+
+		afterEach: function () {
+			pointerEvents.disable(container);
+			document.body.removeChild(container);
+		},
+
+		"nested roots": function () {
+			var outside = document.createElement("div");
+			outside.id = "outside";
+			document.body.appendChild(outside);
+			outside.addEventListener("pointerdown", logEvent);
+			function click(target) {
+				log = [];
+				fire("mousedown", target, 0, 1);
+				fire("mouseup", target, 0, 0);
+				return log;
+			}
+			try {
+				assert.deepEqual(click(a), ["down@a", "up@a"], "processed once, by the innermost root");
+				assert.deepEqual(click(outside), ["down@outside"], "processed by the document");
+				pointerEvents.enable(container);
+				pointerEvents.disable(container);
+				assert.deepEqual(click(a), ["down@a", "up@a"], "container still enabled");
+				pointerEvents.disable(document);
+				try {
+					assert.deepEqual(click(a), ["down@a", "up@a"], "container enabled without the document");
+					assert.deepEqual(click(outside), [], "document disabled");
+				} finally {
+					pointerEvents.enable(document);
+				}
+				pointerEvents.disable(container);
+				assert.deepEqual(click(a), ["down@a", "up@a"], "processed by the document");
+			} finally {
+				document.body.removeChild(outside);
+			}
+		},
+
+		"pending capture": function () {
+			fire("mousedown", a, 0, 1);
+			assert.isTrue(pointerEvents.setPointerCapture(a, 1), "set");
+			assert.isTrue(a.hasPointerCapture(1), "pending capture");
+			assert.deepEqual(log, ["down@a"], "gotpointercapture is not fired before the next pointer event");
+			fire("mousemove", a, 0, 1);
+			assert.deepEqual(log, ["down@a", "gotpointercapture@a", "move@a"], "capture processed");
+			log = [];
+			move(a, b, 1);
+			assert.deepEqual(log, ["move@a"], "captured: no boundary events");
+			log = [];
+			fire("mouseup", b, 0, 0);
+			assert.deepEqual(log, ["up@a", "lostpointercapture@a", "out@a", "leave@a", "over@b", "enter@b"],
+				"implicit release after pointerup, then boundary events to the element under the mouse");
+			assert.isFalse(a.hasPointerCapture(1), "released");
+		},
+
+		"pending capture overridden": function () {
+			fire("mousedown", a, 0, 1);
+			a.setPointerCapture(1);
+			b.setPointerCapture(1);
+			assert.isFalse(a.hasPointerCapture(1), "a");
+			assert.isTrue(b.hasPointerCapture(1), "b");
+			fire("mousemove", b, 0, 1);
+			assert.deepEqual(log, ["down@a", "gotpointercapture@b", "move@b"], "capture of b only");
+			log = [];
+			b.setPointerCapture(1);
+			b.releasePointerCapture(1);
+			fire("mousemove", b, 0, 1);
+			assert.deepEqual(log, ["lostpointercapture@b", "move@b"], "released before the next pointer event");
+			fire("mouseup", b, 0, 0);
+		},
+
+		"no capture without button": function () {
+			fire("mousemove", a);
+			assert.isFalse(pointerEvents.setPointerCapture(a, 1), "no button pressed");
+			fire("mousemove", a);
+			assert.deepEqual(log, ["move@a", "move@a"], "no capture");
+		},
+
+		"boundary events on capture change": function () {
+			fire("mousedown", a, 0, 1);
+			move(a, b, 1);
+			assert.deepEqual(log, ["down@a", "out@a", "leave@a", "over@b", "enter@b", "move@b"], "not captured");
+			log = [];
+			a.setPointerCapture(1);
+			fire("mousemove", b, 0, 1);
+			assert.deepEqual(log, ["gotpointercapture@a", "out@b", "leave@b", "over@a", "enter@a", "move@a"],
+				"captured by a while over b");
+			log = [];
+			a.releasePointerCapture(1);
+			fire("mousemove", b, 0, 1);
+			assert.deepEqual(log, ["lostpointercapture@a", "out@a", "leave@a", "over@b", "enter@b", "move@b"],
+				"released while over b");
+			fire("mouseup", b, 0, 0);
+		},
+
+		"element capture methods": function () {
+			fire("mousedown", a, 0, 1);
+			assert.isUndefined(a.setPointerCapture(1), "setPointerCapture");
+			assert.isTrue(a.hasPointerCapture(1), "hasPointerCapture");
+			assert.isFalse(b.hasPointerCapture(1), "hasPointerCapture of another element");
+			assert.isUndefined(a.releasePointerCapture(1), "releasePointerCapture");
+			assert.isFalse(a.hasPointerCapture(1), "released");
+			fire("mouseup", a, 0, 0);
+		},
+
+		"InvalidPointerId": function () {
+			function assertInvalidPointerId(fn, msg) {
+				var error = null;
+				try {
+					fn();
+				} catch (e) {
+					error = e;
+				}
+				assert.isNotNull(error, msg);
+				assert.strictEqual(error.name, "InvalidPointerId", msg);
+			}
+			assertInvalidPointerId(function () {
+				a.setPointerCapture(1);
+			}, "setPointerCapture of the mouse without any mouse event");
+			fire("mousedown", a, 0, 1);
+			assertInvalidPointerId(function () {
+				a.setPointerCapture(99);
+			}, "setPointerCapture of an unknown pointer");
+			assertInvalidPointerId(function () {
+				a.releasePointerCapture(99);
+			}, "releasePointerCapture of an unknown pointer");
+			assert.isFalse(a.hasPointerCapture(99), "hasPointerCapture of an unknown pointer");
+			fire("mouseup", a, 0, 0);
+		},
+
+		"hasPointerCapture without native method": function () {
+			// native Pointer Events without hasPointerCapture (IE11): the polyfill must not call itself
+			var nativePointerEvents = has("pointer-events");
+			has.add("pointer-events", true, true, true);
+			try {
+				assert.isFalse(a.hasPointerCapture(1), "not captured");
+				assert.isFalse(pointerEvents.hasPointerCapture(a, 1), "not captured");
+			} finally {
+				has.add("pointer-events", nativePointerEvents, true, true);
+			}
+		},
+
+		"chorded buttons": function () {
+			var buttons = [];
+			a.addEventListener("pointermove", function (e) {
+				buttons.push(e.button + ":" + e.buttons);
+			});
+			fire("mousedown", a, 0, 1);
+			fire("mousedown", a, 2, 3);
+			fire("mouseup", a, 2, 1);
+			fire("mousemove", a, 0, 1);
+			fire("mouseup", a, 0, 0);
+			assert.deepEqual(log, ["down@a", "move@a", "move@a", "move@a", "up@a"], "single pointerdown/pointerup");
+			assert.deepEqual(buttons, ["2:3", "2:1", "-1:1"], "button and buttons of pointermove");
+		},
+
+		"scrollbars": function () {
+			// layout of a box with 15px scrollbars, independent of the scrollbars of the platform (overlay...)
+			var box = createBox("box", 0);
+			box.style.overflowX = box.style.overflowY = "scroll";
+			[["offsetWidth", 100], ["offsetHeight", 100], ["clientWidth", 85], ["clientHeight", 85]]
+				.forEach(function (property) {
+					Object.defineProperty(box, property[0], {value: property[1], configurable: true});
+				});
+			box.getBoundingClientRect = function () {
+				return {left: 0, top: 0, right: 100, bottom: 100, width: 100, height: 100};
+			};
+			function press(x, y) {
+				log = [];
+				box.dispatchEvent(new window.MouseEvent("mousedown", {
+					bubbles: true,
+					cancelable: true,
+					view: window,
+					clientX: x,
+					clientY: y,
+					button: 0,
+					buttons: 1
+				}));
+				fire("mouseup", box, 0, 0);
+				return log[log.length - 1] === "cancel@box";
+			}
+			assert.isFalse(press(50, 50), "content");
+			assert.isTrue(press(90, 50), "vertical scrollbar");
+			assert.isTrue(press(50, 90), "horizontal scrollbar");
+			assert.isFalse(press(5, 50), "left edge");
+			box.style.direction = "rtl";
+			assert.isTrue(press(5, 50), "vertical scrollbar on the left side (rtl)");
+			assert.isFalse(press(90, 50), "right edge (rtl)");
+			box.style.overflowY = "hidden";
+			assert.isFalse(press(5, 50), "no vertical scrollbar");
+		},
+
+		"cancel on scroll": function () {
+			var scroll = new window.UIEvent("scroll", {bubbles: false, cancelable: false, view: window});
+			// middle button autoscroll
+			fire("mousedown", a, 1, 4);
+			b.dispatchEvent(scroll);
+			assert.deepEqual(log, ["down@a"], "another element scrolls");
+			container.dispatchEvent(scroll);
+			assert.deepEqual(log, ["down@a", "cancel@a"], "an ancestor of the target scrolls");
+			fire("mouseup", a, 1, 0);
+			log = [];
+			fire("mousedown", a, 1, 4);
+			a.setPointerCapture(1);
+			fire("mousemove", a, 0, 4);
+			container.dispatchEvent(scroll);
+			fire("mouseup", a, 1, 0);
+			assert.deepEqual(log, ["down@a", "gotpointercapture@a", "move@a", "up@a", "lostpointercapture@a"],
+				"captured pointer");
+		},
+
+		"no cancel on programmatic scroll": function () {
+			fire("mousedown", a, 0, 1);
+			// a script scrolls the container: the scroll event is fired asynchronously by browsers
+			container.style.overflow = "auto";
+			container.scrollTop = 10;
+			container.dispatchEvent(new window.UIEvent("scroll", {bubbles: false, cancelable: false, view: window}));
+			fire("mousemove", a, 0, 1);
+			fire("mouseup", a, 0, 0);
+			assert.deepEqual(log, ["down@a", "move@a", "up@a"], "not canceled");
+		},
+
+		"compatibility mouse events": function () {
+			function press(firesTouchEvents) {
+				["mousedown", "mouseup"].forEach(function (type) {
+					var e = new window.MouseEvent(type, {bubbles: true, cancelable: true, view: window, button: 0,
+						buttons: (type === "mousedown") ? 1 : 0});
+					Object.defineProperty(e, "sourceCapabilities", {value: {firesTouchEvents: firesTouchEvents}});
+					a.dispatchEvent(e);
+				});
+			}
+			press(true);
+			assert.deepEqual(log, [], "fired for a touch");
+			press(false);
+			assert.deepEqual(log, ["down@a", "up@a"], "fired by a mouse");
+		},
+
+		"compatibility mouse events after a touch": function () {
+			if (!has("touch-events")) {
+				// the mouse handlers don't listen to touch events
+				return;
+			}
+			var dfd = this.async(1000);
+			function fireAt(type, x, y) {
+				var e = document.createEvent("Event"),
+					touch = {identifier: 1, target: a, clientX: x, clientY: y};
+				if (type.indexOf("touch") === 0) {
+					e.initEvent(type, true, true);
+					e.changedTouches = {length: 1, item: function () {
+						return touch;
+					}};
+				} else {
+					e = new window.MouseEvent(type, {bubbles: true, cancelable: true, view: window, clientX: x,
+						clientY: y, button: 0, buttons: (type === "mousedown") ? 1 : 0});
+				}
+				a.dispatchEvent(e);
+			}
+			pointerEvents.disable(container);
+			pointerEvents.enable(container, {handlers: ["mouse"], touchActionCSS: false, ghostMouseDelay: 100});
+			fireAt("touchstart", 10, 10);
+			fireAt("touchend", 10, 10);
+			log = []; // pointer events of the touch, from the touch handlers of the document
+			fireAt("mousedown", 20, 20);
+			fireAt("mouseup", 20, 20);
+			assert.deepEqual(log, [], "near the touch");
+			fireAt("mousedown", 100, 100);
+			fireAt("mouseup", 100, 100);
+			assert.deepEqual(log, ["down@a", "up@a"], "far from the touch");
+			log = [];
+			setTimeout(dfd.callback(function () {
+				fireAt("mousedown", 10, 10);
+				fireAt("mouseup", 10, 10);
+				assert.deepEqual(log, ["down@a", "up@a"], "after ghostMouseDelay");
+			}), 150);
+		},
+
+		"cancel on window blur": function () {
+			fire("mousedown", a, 0, 1);
+			a.setPointerCapture(1);
+			fire("mousemove", a, 0, 1);
+			log = [];
+			window.dispatchEvent(new window.Event("blur"));
+			assert.deepEqual(log, ["cancel@a", "lostpointercapture@a"], "canceled");
+			log = [];
+			fire("mousemove", b, 0, 1);
+			fire("mouseup", b, 0, 0);
+			assert.deepEqual(log, [], "mouse events absorbed until the button is released");
+			fire("mousemove", b);
+			assert.deepEqual(log, ["move@b"], "hover");
+			log = [];
+			window.dispatchEvent(new window.Event("blur"));
+			assert.deepEqual(log, [], "no button pressed");
+		},
+
+		"cancel on pagehide": function () {
+			fire("mousedown", a, 0, 1);
+			window.dispatchEvent(new window.Event("pagehide"));
+			assert.deepEqual(log, ["down@a", "cancel@a"]);
+			fire("mouseup", a, 0, 0);
+		},
+
+		"cancel on visibilitychange": function () {
+			fire("mousedown", a, 0, 1);
+			document.dispatchEvent(new window.Event("visibilitychange"));
+			assert.deepEqual(log, ["down@a"], "document visible");
+			Object.defineProperty(document, "hidden", {value: true, configurable: true});
+			try {
+				document.dispatchEvent(new window.Event("visibilitychange"));
+			} finally {
+				delete document.hidden;
+			}
+			assert.deepEqual(log, ["down@a", "cancel@a"], "document hidden");
+			fire("mouseup", a, 0, 0);
+		}
+	});
+});
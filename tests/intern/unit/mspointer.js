@@ -0,0 +1,107 @@
+define([
+	"intern!object",
+	"intern/chai!assert",
+	"dpointer/handlers/mspointer",
+	"../TestUtils"
+], function (registerSuite, assert, mspointer) {
+	var container, node, log,
+		types = ["pointerover", "pointerdown", "pointerup", "pointercancel", "pointerout", "gotpointercapture",
+			"lostpointercapture"];
+
+	// fire a MS Pointer Event at node
+	function fire(type, pointerType, nativeId, relatedTarget) {
+		var e = document.createEvent("Event");
+		e.initEvent(type, true, true);
+		e.pointerType = pointerType;
+		e.pointerId = nativeId;
+		e.isPrimary = true;
+		e.button = (type === "MSPointerMove" || type === "MSPointerOver" || type === "MSPointerOut") ? -1 : 0;
+		e.buttons = (type === "MSPointerDown") ? 1 : 0;
+		e.relatedTarget = relatedTarget || null;
+		node.dispatchEvent(e);
+	}
+
+	function logEvent(e) {
+		log.push(e.type.replace(/^pointer/, "") + "#" + e.pointerId);
+	}
+
+	registerSuite({
+		name: "mspointer",
+
+		beforeEach: function () {
+			container = document.createElement("div");
+			node = document.createElement("div");
+			container.appendChild(node);
+			document.body.appendChild(container);
+			mspointer.registerHandlers(container);
+			log = [];
+			types.forEach(function (type) {
+				node.addEventListener(type, logEvent, false);
+			});
+		},
+
+		afterEach: function () {
+			mspointer.deregisterHandlers(container);
+			document.body.removeChild(container);
+		},
+
+		"touch pointerId released on MSPointerUp": function () {
+			fire("MSPointerOver", "touch", 10);
+			fire("MSPointerDown", "touch", 10);
+			fire("MSPointerUp", "touch", 10);
+			assert.deepEqual(log, ["over#2", "down#2", "up#2", "out#2"], "pointerout fired on pointerup");
+			fire("MSPointerOver", 2, 11); // IE10 pointer type
+			fire("MSPointerDown", 2, 11);
+			fire("MSPointerOut", "touch", 10); // the touch which went up
+			assert.deepEqual(log.slice(4), ["over#2", "down#2"], "pointerId reused for the next touch");
+			fire("MSPointerCancel", 2, 11);
+			fire("MSPointerOut", 2, 11);
+			assert.deepEqual(log.slice(6), ["cancel#2", "out#2"], "pointerout fired on pointercancel");
+		},
+
+		"multi touch": function () {
+			fire("MSPointerDown", "touch", 10);
+			fire("MSPointerDown", "touch", 11);
+			fire("MSPointerUp", "touch", 10);
+			fire("MSPointerOut", "touch", 10);
+			fire("MSPointerDown", "touch", 12);
+			assert.deepEqual(log, ["down#2", "down#3", "up#2", "out#2", "down#4"],
+				"no pointerId reused while a contact is active");
+			fire("MSPointerUp", "touch", 11);
+			fire("MSPointerUp", "touch", 12);
+			fire("MSPointerDown", "touch", 13);
+			fire("MSPointerUp", "touch", 13);
+			assert.deepEqual(log.slice(5), ["up#3", "out#3", "up#4", "out#4", "down#2", "up#2", "out#2"],
+				"pointerIds recycled");
+		},
+
+		"captured touch": function () {
+			fire("MSPointerDown", "touch", 10);
+			fire("MSGotPointerCapture", "touch", 10);
+			fire("MSPointerUp", "touch", 10);
+			fire("MSLostPointerCapture", "touch", 10);
+			fire("MSPointerOut", "touch", 10);
+			assert.deepEqual(log, ["down#2", "gotpointercapture#2", "up#2", "lostpointercapture#2", "out#2"],
+				"pointerout after lostpointercapture, with the same pointerId");
+			fire("MSPointerDown", "touch", 11);
+			fire("MSGotPointerCapture", "touch", 11);
+			fire("MSPointerCancel", "touch", 11);
+			fire("MSLostPointerCapture", "touch", 11);
+			fire("MSPointerDown", "touch", 12);
+			fire("MSPointerUp", "touch", 12);
+			assert.deepEqual(log.slice(5), ["down#2", "gotpointercapture#2", "cancel#2", "lostpointercapture#2",
+				"out#2", "down#2", "up#2", "out#2"], "pointerId released after lostpointercapture");
+		},
+
+		"pen out of range": function () {
+			fire("MSPointerOver", "pen", 10);
+			fire("MSPointerDown", "pen", 10);
+			fire("MSPointerUp", "pen", 10);
+			assert.deepEqual(log, ["over#2", "down#2", "up#2"], "pen hovers after pointerup");
+			fire("MSPointerOut", "pen", 10);
+			fire("MSPointerOver", "pen", 11);
+			assert.deepEqual(log.slice(3), ["out#2", "over#2"], "pointerId released when the pen leaves");
+			fire("MSPointerOut", "pen", 11);
+		}
+	});
+});
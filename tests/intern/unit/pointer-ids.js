@@ -0,0 +1,50 @@
+define([
+	"intern!object",
+	"intern/chai!assert",
+	"dpointer/handlers/pointerIds",
+	"../TestUtils"
+], function (registerSuite, assert, pointerIds) {
+
+	registerSuite({
+		name: "PointerIds",
+
+		"mouse": function () {
+			assert.strictEqual(pointerIds.allocate("mouse", 0), 1, "mouse id");
+			assert.strictEqual(pointerIds.get("mouse"), 1, "mouse id is always active");
+			assert.strictEqual(pointerIds.getType(1), "mouse", "mouse type");
+		},
+
+		"allocate and recycle": function () {
+			var first = pointerIds.allocate("touch", 123456789),
+				second = pointerIds.allocate("touch", 987654321);
+			assert.strictEqual(first, 2, "first contact");
+			assert.strictEqual(second, 3, "second contact");
+			assert.strictEqual(pointerIds.allocate("touch", 123456789), first, "same contact, same id");
+			assert.strictEqual(pointerIds.get("touch", 987654321), second, "get");
+			assert.strictEqual(pointerIds.getNativeId(second), 987654321, "native id");
+			assert.strictEqual(pointerIds.getType(second), "touch", "type");
+
+			// ids are not reused while a contact is active
+			pointerIds.release(first);
+			assert.isUndefined(pointerIds.getType(first), "released");
+			assert.strictEqual(pointerIds.allocate("touch", 5), 4, "next id");
+			pointerIds.release(second);
+			pointerIds.release(4);
+
+			// no active contact: ids are recycled
+			assert.strictEqual(pointerIds.allocate("touch", 5), 2, "recycled id");
+			pointerIds.release(2);
+		},
+
+		"pointer type namespace": function () {
+			var touchId = pointerIds.allocate("touch", 1),
+				penId = pointerIds.allocate("pen", 1);
+			assert.notStrictEqual(touchId, penId, "same native id, different types");
+			assert.strictEqual(pointerIds.getType(penId), "pen", "pen type");
+			assert.strictEqual(pointerIds.get("pen", 1), penId, "pen id");
+			pointerIds.release(touchId);
+			pointerIds.release(penId);
+			assert.isUndefined(pointerIds.get("touch", 1), "touch released");
+		}
+	});
+});
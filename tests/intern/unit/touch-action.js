@@ -0,0 +1,237 @@
+define([
+	"intern!object",
+	"intern/chai!assert",
+	"dpointer/handlers/features",
+	"dpointer/handlers/utils",
+	"dpointer/handlers/touchAction",
+	"../TestUtils"
+], function (registerSuite, assert, has, utils, touchAction) {
+
+	var TouchAction = utils.TouchAction;
+
+	registerSuite({
+		name: "TouchAction",
+
+		"parse keywords": function () {
+			assert.strictEqual(utils.parseTouchAction("auto"), TouchAction.AUTO, "auto");
+			assert.strictEqual(utils.parseTouchAction("none"), TouchAction.NONE, "none");
+			assert.strictEqual(utils.parseTouchAction("manipulation"), TouchAction.MANIPULATION, "manipulation");
+			assert.strictEqual(utils.parseTouchAction("pan-x"), TouchAction.PAN_X, "pan-x");
+			assert.strictEqual(utils.parseTouchAction("pan-left"), TouchAction.PAN_LEFT, "pan-left");
+			assert.strictEqual(utils.parseTouchAction("pinch-zoom"), TouchAction.PINCH_ZOOM, "pinch-zoom");
+		},
+
+		"parse combinations": function () {
+			assert.strictEqual(utils.parseTouchAction("pan-x pan-y"), TouchAction.PAN_X | TouchAction.PAN_Y);
+			assert.strictEqual(utils.parseTouchAction(" pan-y   pan-x "), TouchAction.PAN_X | TouchAction.PAN_Y);
+			assert.strictEqual(utils.parseTouchAction("pan-left pan-down pinch-zoom"),
+				TouchAction.PAN_LEFT | TouchAction.PAN_DOWN | TouchAction.PINCH_ZOOM);
+			assert.strictEqual(utils.parseTouchAction("pan-x pan-y pinch-zoom"), TouchAction.MANIPULATION);
+		},
+
+		"parse invalid values": function () {
+			assert.isNull(utils.parseTouchAction("foo"), "unknown keyword");
+			assert.isNull(utils.parseTouchAction("pan-x pan-left"), "2 keywords of the same group");
+			assert.isNull(utils.parseTouchAction("none pan-x"), "none can't be combined");
+			assert.isNull(utils.parseTouchAction("auto manipulation"), "auto can't be combined");
+		},
+
+		"intersection": function () {
+			assert.strictEqual(TouchAction.AUTO & utils.parseTouchAction("pan-y"), TouchAction.PAN_Y);
+			assert.strictEqual(utils.parseTouchAction("pan-x") & utils.parseTouchAction("pan-y"), TouchAction.NONE);
+			assert.strictEqual(utils.parseTouchAction("pan-x pan-y") & utils.parseTouchAction("pan-left"),
+				TouchAction.PAN_LEFT);
+		},
+
+		"to string": function () {
+			["auto", "none", "manipulation", "pan-x", "pan-right pan-y", "pan-left pan-up pinch-zoom"]
+				.forEach(function (value) {
+					assert.strictEqual(utils.touchActionToString(utils.parseTouchAction(value)), value);
+				});
+			assert.strictEqual(utils.touchActionToString(utils.parseTouchAction("pan-y pan-x")), "pan-x pan-y");
+		}
+	});
+
+	var node, style, watched;
+
+	registerSuite({
+		name: "touchAction.resolve",
+
+		beforeEach: function () {
+			node = document.createElement("div");
+			node.innerHTML = "<div><span></span></div><div></div>";
+			document.body.appendChild(node);
+			style = null;
+			watched = false;
+		},
+
+		afterEach: function () {
+			document.body.removeChild(node);
+			if (style) {
+				style.parentNode.removeChild(style);
+			}
+			if (watched) {
+				touchAction.unwatch(document);
+			}
+		},
+
+		"style sheets changed at runtime": function () {
+			var dfd = this.async(1000), span = node.querySelector("span");
+			span.className = "dpointer-test-touch-action";
+			assert.strictEqual(touchAction.resolve(span), TouchAction.AUTO, "no rule");
+			style = document.createElement("style");
+			style.textContent = ".dpointer-test-touch-action { touch-action: pan-y; }";
+			document.head.appendChild(style);
+			// mutation observers (if any) are notified before the timer
+			setTimeout(dfd.rejectOnError(function () {
+				assert.strictEqual(touchAction.resolve(span), TouchAction.PAN_Y, "inserted style sheet");
+				style.textContent = ".dpointer-test-touch-action { touch-action: none; }";
+				setTimeout(dfd.callback(function () {
+					assert.strictEqual(touchAction.resolve(span), TouchAction.NONE, "changed style sheet");
+				}), 0);
+			}), 0);
+		},
+
+		"scoped invalidation": function () {
+			var dfd = this.async(1000), parent = node.firstChild, span = node.querySelector("span"),
+				sibling = node.lastChild;
+			touchAction.watch(document);
+			watched = true;
+			assert.strictEqual(touchAction.resolve(span), TouchAction.AUTO, "auto");
+			assert.strictEqual(touchAction.resolve(sibling), TouchAction.AUTO, "auto");
+			parent.setAttribute(TouchAction.ATTR_NAME, "pan-x");
+			touchAction.invalidate(parent);
+			assert.strictEqual(touchAction.resolve(span), TouchAction.PAN_X, "descendant invalidated");
+			// the value of the sibling is still cached
+			assert.isObject(sibling._dpointerTouchAction, "sibling cached");
+			node.setAttribute(TouchAction.ATTR_NAME, "pan-y");
+			setTimeout(dfd.callback(function () {
+				assert.isNull(sibling._dpointerTouchAction, "invalidated by the mutation observer");
+				assert.strictEqual(touchAction.resolve(span), TouchAction.NONE, "pan-x & pan-y");
+				assert.strictEqual(touchAction.resolve(sibling), TouchAction.PAN_Y, "pan-y");
+			}), 0);
+		},
+
+		"document of an iframe": function () {
+			var dfd = this.async(1000), iframe = document.createElement("iframe"), doc, target;
+			touchAction.watch(document);
+			watched = true;
+			node.appendChild(iframe);
+			doc = iframe.contentDocument;
+			target = doc.createElement("div");
+			doc.body.appendChild(target);
+			assert.strictEqual(touchAction.resolve(target), TouchAction.AUTO, "auto");
+			target.setAttribute(TouchAction.ATTR_NAME, "none");
+			// the mutations of the iframe are not observed: its values are not cached
+			setTimeout(dfd.callback(function () {
+				assert.strictEqual(touchAction.resolve(target), TouchAction.NONE, "touch-action changed");
+			}), 0);
+		}
+	});
+
+	var features = {}, getComputedStyle = window.getComputedStyle;
+
+	// override the detection of a feature until restoreFeatures() is called
+	function setFeature(name, value) {
+		if (!(name in features)) {
+			features[name] = has(name);
+		}
+		has.add(name, value, true, true);
+	}
+
+	function restoreFeatures() {
+		Object.keys(features).forEach(function (name) {
+			has.add(name, features[name], true, true);
+		});
+		features = {};
+	}
+
+	// insert a style sheet with the given text
+	function addStyle(cssText) {
+		style = document.createElement("style");
+		style.textContent = cssText;
+		document.head.appendChild(style);
+		touchAction.invalidate(); // don't wait for the mutation observer
+	}
+
+	registerSuite({
+		name: "touchAction CSS",
+
+		beforeEach: function () {
+			node = document.createElement("div");
+			node.className = "dpointer-test-css";
+			document.body.appendChild(node);
+			style = null;
+			// the touch-action property is dropped by the CSS parser: values are read from the CSS text
+			setFeature("css-touch-action", false);
+			setFeature("css-ms-touch-action", false);
+		},
+
+		afterEach: function () {
+			document.body.removeChild(node);
+			if (style) {
+				style.parentNode.removeChild(style);
+			}
+			restoreFeatures();
+			window.getComputedStyle = getComputedStyle;
+			touchAction.invalidate();
+		},
+
+		"style element": function () {
+			addStyle(".dpointer-test-css { color: red; touch-action: pan-y; }\n" +
+				"@media print { .dpointer-test-css { touch-action: none; } }");
+			assert.strictEqual(touchAction.resolve(node), TouchAction.NONE, "rules of @media blocks are collected");
+			style.textContent = "/* .dpointer-test-css { touch-action: none; } */\n" +
+				"div.dpointer-test-css { -ms-touch-action: pan-x; }";
+			touchAction.invalidate();
+			assert.strictEqual(touchAction.resolve(node), TouchAction.PAN_X, "-ms-touch-action, comments ignored");
+			style.textContent = ".other { touch-action: none; }";
+			touchAction.invalidate();
+			assert.strictEqual(touchAction.resolve(node), TouchAction.AUTO, "selector not matched");
+		},
+
+		"style attribute": function () {
+			node.setAttribute("style", "color: red; touch-action: pan-y");
+			touchAction.invalidate(node);
+			assert.strictEqual(touchAction.resolve(node), TouchAction.PAN_Y, "style attribute");
+			node.setAttribute("style", "touch-action: foo");
+			touchAction.invalidate(node);
+			assert.strictEqual(touchAction.resolve(node), TouchAction.AUTO, "invalid value ignored");
+		},
+
+		"precedence": function () {
+			addStyle(".dpointer-test-css { touch-action: pan-y; }\n.dpointer-test-css { touch-action: pan-x; }");
+			assert.strictEqual(touchAction.resolve(node), TouchAction.PAN_X, "last matching rule");
+			node.setAttribute("style", "touch-action: none");
+			touchAction.invalidate(node);
+			assert.strictEqual(touchAction.resolve(node), TouchAction.NONE, "style attribute over style sheets");
+			node.setAttribute(TouchAction.ATTR_NAME, "pan-y");
+			touchAction.invalidate(node);
+			assert.strictEqual(touchAction.resolve(node), TouchAction.PAN_Y, "touch-action attribute over CSS");
+		},
+
+		"!important": function () {
+			addStyle(".dpointer-test-css { touch-action: pan-y !important; }\n" +
+				".dpointer-test-css { touch-action: pan-x; }");
+			assert.strictEqual(touchAction.resolve(node), TouchAction.PAN_Y, "over the next rules");
+			node.setAttribute("style", "touch-action: none");
+			touchAction.invalidate(node);
+			assert.strictEqual(touchAction.resolve(node), TouchAction.PAN_Y, "over the style attribute");
+			node.setAttribute("style", "touch-action: none ! important");
+			touchAction.invalidate(node);
+			assert.strictEqual(touchAction.resolve(node), TouchAction.NONE, "important style attribute");
+		},
+
+		"native support": function () {
+			addStyle(".dpointer-test-css { touch-action: pan-y; }");
+			assert.strictEqual(touchAction.resolve(node), TouchAction.PAN_Y, "read from the CSS text");
+			// the browser keeps the property: the computed style is used
+			setFeature("css-touch-action", true);
+			window.getComputedStyle = function () {
+				return {touchAction: "pan-x"};
+			};
+			touchAction.invalidate();
+			assert.strictEqual(touchAction.resolve(node), TouchAction.PAN_X, "read from the computed style");
+		}
+	});
+});
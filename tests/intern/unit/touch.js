@@ -0,0 +1,267 @@
+define([
+	"intern!object",
+	"intern/chai!assert",
+	"dpointer/handlers/features",
+	"dpointer/handlers/utils",
+	"dpointer/events",
+	"../TestUtils"
+], function (registerSuite, assert, has, utils, pointerEvents) {
+	if (has("pointer-events") || has("mspointer-events")) {
+		console.log("==> Skipping touch tests because Pointer Events are supported natively");
+		return;
+	}
+
+	var container, a, b, log, enabled,
+		pointerTypes = ["pointerover", "pointerenter", "pointerdown", "pointermove", "pointerup", "pointercancel",
+			"pointerout", "pointerleave"],
+		targets = {}; // target of each touch, from touchstart
+
+	// enable the touch handlers on the container with the given options
+	function enable(options) {
+		pointerEvents.enable(container, utils.mixin({handlers: ["touch"], touchActionCSS: false}, options));
+		enabled = true;
+	}
+
+	// fire a touch event for the touch with the given identifier at (x, y), returns the event
+	function fire(type, identifier, x, y) {
+		if (type === "touchstart") {
+			targets[identifier] = document.elementFromPoint(x, y);
+		}
+		var e = document.createEvent("Event"),
+			touch = {
+				identifier: identifier,
+				target: targets[identifier],
+				clientX: x,
+				clientY: y,
+				pageX: x,
+				pageY: y,
+				screenX: x,
+				screenY: y
+			};
+		e.initEvent(type, true, true);
+		e.changedTouches = {
+			length: 1,
+			item: function () {
+				return touch;
+			}
+		};
+		touch.target.dispatchEvent(e);
+		return e;
+	}
+
+	function tap(identifier, x, y) {
+		fire("touchstart", identifier, x, y);
+		return fire("touchend", identifier, x, y);
+	}
+
+	function listen(types) {
+		types.forEach(function (type) {
+			container.addEventListener(type, function (e) {
+				log.push(e.type.replace(/^pointer/, "") + "@" + e.target.id +
+					(e.pointerId ? "#" + e.pointerId : "") + (e.detail ? ":" + e.detail : ""));
+			}, true);
+		});
+	}
+
+	function createBox(id, left) {
+		var box = document.createElement("div");
+		box.id = id;
+		box.style.cssText = "position: fixed; top: 0; width: 50px; height: 50px; left: " + left + "px";
+		container.appendChild(box);
+		return box;
+	}
+
+	registerSuite({
+		name: "touch",
+
+		beforeEach: function () {
+			container = document.createElement("div");
+			container.id = "container";
+			container.setAttribute(utils.TouchAction.ATTR_NAME, "none");
+			document.body.appendChild(container);
+			a = createBox("a", 0);
+			b = createBox("b", 100);
+			log = [];
+			enabled = false;
+		},
+
+		afterEach: function () {
+			if (enabled) {
+				pointerEvents.disable(container);
+			}
+			document.body.removeChild(container);
+		},
+
+		"tap": function () {
+			enable();
+			listen(["click", "dblclick"]);
+			var touchend = tap(1, 10, 10);
+			assert.isTrue(touchend.defaultPrevented, "native click prevented");
+			assert.deepEqual(log, ["click@a:1"], "synthetic click");
+			tap(1, 12, 10);
+			assert.deepEqual(log, ["click@a:1", "click@a:2", "dblclick@a:2"], "double tap");
+			tap(1, 110, 10);
+			assert.deepEqual(log, ["click@a:1", "click@a:2", "dblclick@a:2", "click@b:1"], "tap on another element");
+		},
+
+		"tapSlop": function () {
+			enable({tapSlop: 10});
+			listen(["click"]);
+			fire("touchstart", 1, 10, 10);
+			fire("touchmove", 1, 18, 10);
+			fire("touchend", 1, 18, 10);
+			assert.deepEqual(log, ["click@a:1"], "moved less than tapSlop");
+			fire("touchstart", 1, 10, 10);
+			fire("touchmove", 1, 30, 10);
+			fire("touchend", 1, 30, 10);
+			assert.deepEqual(log, ["click@a:1"], "moved more than tapSlop");
+		},
+
+		"tapMaxDuration": function () {
+			var dfd = this.async(1000);
+			enable({tapMaxDuration: 50});
+			listen(["click"]);
+			tap(1, 10, 10);
+			assert.deepEqual(log, ["click@a:1"], "short tap");
+			fire("touchstart", 1, 10, 10);
+			setTimeout(dfd.callback(function () {
+				fire("touchend", 1, 10, 10);
+				assert.deepEqual(log, ["click@a:1"], "too long");
+			}), 100);
+		},
+
+		"doubleTapDelay": function () {
+			var dfd = this.async(1000);
+			enable({doubleTapDelay: 50});
+			listen(["click", "dblclick"]);
+			tap(1, 10, 10);
+			setTimeout(dfd.callback(function () {
+				tap(1, 10, 10);
+				assert.deepEqual(log, ["click@a:1", "click@a:1"], "no double tap");
+			}), 100);
+		},
+
+		"native click": function () {
+			enable();
+			listen(["click"]);
+			container.setAttribute("native-click", "");
+			var touchend = tap(1, 10, 10);
+			assert.isFalse(touchend.defaultPrevented, "native click not prevented");
+			assert.deepEqual(log, [], "no synthetic click");
+			a.setAttribute("native-click", "false");
+			touchend = tap(1, 10, 10);
+			assert.isTrue(touchend.defaultPrevented, "native click prevented");
+			assert.deepEqual(log, ["click@a:1"], "synthetic click");
+		},
+
+		"long press": function () {
+			var dfd = this.async(1000);
+			enable({longPressDelay: 50});
+			listen(["contextmenu", "click"]);
+			tap(1, 10, 10);
+			assert.deepEqual(log, ["click@a:1"], "short tap");
+			log = [];
+			fire("touchstart", 1, 10, 10);
+			setTimeout(dfd.callback(function () {
+				assert.deepEqual(log, ["contextmenu@a"], "contextmenu after longPressDelay");
+				fire("touchend", 1, 10, 10);
+				assert.deepEqual(log, ["contextmenu@a"], "no click after a long press");
+			}), 100);
+		},
+
+		"long press canceled": function () {
+			var dfd = this.async(1000);
+			enable({longPressDelay: 50});
+			listen(["contextmenu", "click"]);
+			fire("touchstart", 1, 10, 10);
+			fire("touchmove", 1, 30, 10);
+			setTimeout(dfd.callback(function () {
+				assert.deepEqual(log, [], "moved more than longPressSlop");
+				fire("touchend", 1, 30, 10);
+				assert.deepEqual(log, ["click@a:1"], "click");
+			}), 100);
+		},
+
+		"event order": function () {
+			enable();
+			listen(pointerTypes.concat("click"));
+			tap(1, 10, 10);
+			assert.deepEqual(log, ["over@a#2", "enter@container#2", "enter@a#2", "down@a#2", "move@a#2", "up@a#2",
+				"click@a:1", "out@a#2", "leave@a#2", "leave@container#2"], "tap");
+			log = [];
+			fire("touchstart", 1, 10, 10);
+			fire("touchmove", 1, 20, 10);
+			fire("touchmove", 1, 110, 10);
+			fire("touchend", 1, 110, 10);
+			assert.deepEqual(log, ["over@a#2", "enter@container#2", "enter@a#2", "down@a#2", "move@a#2",
+				"out@a#2", "leave@a#2", "over@b#2", "enter@b#2", "move@b#2",
+				"up@b#2", "out@b#2", "leave@b#2", "leave@container#2"], "move to another element");
+		},
+
+		"event order when the user agent pans": function () {
+			container.removeAttribute(utils.TouchAction.ATTR_NAME);
+			a.setAttribute(utils.TouchAction.ATTR_NAME, "pan-y");
+			enable();
+			listen(pointerTypes.concat("click"));
+			fire("touchstart", 1, 10, 10);
+			fire("touchmove", 1, 10, 30);
+			fire("touchmove", 1, 10, 40);
+			fire("touchend", 1, 10, 40);
+			assert.deepEqual(log, ["over@a#2", "enter@container#2", "enter@a#2", "down@a#2",
+				"cancel@a#2", "out@a#2", "leave@a#2", "leave@container#2"], "pan handled by the user agent");
+		},
+
+		"multi touch": function () {
+			var primary = [];
+			enable();
+			listen(["pointerdown", "pointermove", "pointerup", "pointercancel", "click"]);
+			container.addEventListener("pointerdown", function (e) {
+				primary.push(e.isPrimary);
+			}, true);
+			fire("touchstart", 1, 10, 10);
+			fire("touchstart", 2, 110, 10);
+			fire("touchmove", 2, 120, 10);
+			fire("touchend", 1, 10, 10);
+			fire("touchend", 2, 120, 10);
+			assert.deepEqual(log, ["down@a#2", "down@b#3", "move@b#3", "move@a#2", "up@a#2", "click@a:1", "up@b#3"],
+				"independent pointers, click for the primary pointer only");
+			assert.deepEqual(primary, [true, false], "isPrimary");
+		},
+
+		"pinch zoom": function () {
+			container.setAttribute(utils.TouchAction.ATTR_NAME, "manipulation");
+			enable();
+			listen(pointerTypes.concat("click"));
+			fire("touchstart", 1, 10, 10);
+			log = [];
+			fire("touchstart", 2, 110, 10);
+			assert.deepEqual(log, ["cancel@a#2", "out@a#2", "leave@a#2", "leave@container#2"],
+				"pointers canceled when a touch starts a pinch");
+			log = [];
+			fire("touchmove", 1, 5, 10);
+			fire("touchmove", 2, 115, 10);
+			fire("touchend", 1, 5, 10);
+			fire("touchend", 2, 115, 10);
+			assert.deepEqual(log, [], "touches handled by the user agent");
+			fire("touchstart", 3, 10, 10);
+			fire("touchend", 3, 10, 10);
+			assert.deepEqual(log.filter(function (entry) {
+				return (/^(down|up)@/).test(entry);
+			}), ["down@a#2", "up@a#2"], "new touch");
+		},
+
+		"no pinch zoom": function () {
+			a.setAttribute(utils.TouchAction.ATTR_NAME, "manipulation");
+			container.removeAttribute(utils.TouchAction.ATTR_NAME);
+			b.setAttribute(utils.TouchAction.ATTR_NAME, "pan-x");
+			enable();
+			listen(["pointerdown", "pointerup", "pointercancel"]);
+			fire("touchstart", 1, 10, 10);
+			fire("touchstart", 2, 110, 10);
+			fire("touchend", 1, 10, 10);
+			fire("touchend", 2, 110, 10);
+			assert.deepEqual(log, ["down@a#2", "down@b#3", "up@a#2", "up@b#3"],
+				"the touch action of the new touch doesn't allow pinch-zoom");
+		}
+	});
+});
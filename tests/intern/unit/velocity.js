@@ -0,0 +1,135 @@
+define([
+	"intern!object",
+	"intern/chai!assert",
+	"dpointer/handlers/velocityTracker",
+	"dpointer/kinetic"
+], function (registerSuite, assert, VelocityTracker, kinetic) {
+
+	registerSuite({
+		name: "VelocityTracker",
+
+		"constant velocity": function () {
+			var tracker = new VelocityTracker();
+			for (var t = 0; t <= 80; t += 16) {
+				tracker.add(100 + t * 0.5, 50 - t * 2, 1000 + t);
+			}
+			var velocity = tracker.getVelocity();
+			assert.closeTo(velocity.x, 0.5, 1e-9, "x");
+			assert.closeTo(velocity.y, -2, 1e-9, "y");
+		},
+
+		"jitter is smoothed": function () {
+			var tracker = new VelocityTracker();
+			[0, 2, -2, 2, -2, 0].forEach(function (jitter, i) {
+				tracker.add(i * 16 + jitter, 0, i * 16);
+			});
+			assert.closeTo(tracker.getVelocity().x, 1, 0.15, "close to the mean velocity");
+		},
+
+		"not enough samples": function () {
+			var tracker = new VelocityTracker();
+			assert.deepEqual(tracker.getVelocity(), {x: 0, y: 0}, "no sample");
+			tracker.add(10, 10, 0);
+			assert.deepEqual(tracker.getVelocity(), {x: 0, y: 0}, "1 sample");
+		},
+
+		"pause": function () {
+			var tracker = new VelocityTracker();
+			tracker.add(0, 0, 0);
+			tracker.add(20, 0, 16);
+			tracker.add(20, 0, 200); // the pointer stopped before going up
+			assert.deepEqual(tracker.getVelocity(), {x: 0, y: 0}, "velocity after a pause");
+		},
+
+		"horizon": function () {
+			var tracker = new VelocityTracker();
+			for (var t = 0; t <= 400; t += 16) {
+				// fast, then slow
+				tracker.add(t < 200 ? t * 3 : 600 + (t - 200) * 0.2, 0, t);
+			}
+			assert.closeTo(tracker.getVelocity().x, 0.2, 1e-9, "only the last moves count");
+			assert.isTrue(tracker.getRecentSamples().length <= 7, "recent samples");
+		},
+
+		"reset": function () {
+			var tracker = new VelocityTracker();
+			tracker.add(0, 0, 0);
+			tracker.add(10, 0, 10);
+			tracker.reset();
+			assert.strictEqual(tracker.getRecentSamples().length, 0, "no samples");
+		}
+	});
+
+	registerSuite({
+		name: "kinetic",
+
+		"decay": function () {
+			var options = {x: 10, velocityX: 1, friction: 0.99},
+				start = kinetic.computeFrame(options, 0),
+				frame = kinetic.computeFrame(options, 50);
+			assert.strictEqual(start.x, 10, "start position");
+			assert.strictEqual(start.velocityX, 1, "start velocity");
+			assert.closeTo(frame.velocityX, Math.pow(0.99, 50), 1e-9, "velocity decreases");
+			assert.closeTo(frame.x, 10 + (Math.pow(0.99, 50) - 1) / Math.log(0.99), 1e-9, "position");
+			assert.strictEqual(frame.y, 0, "no vertical move");
+			assert.isFalse(frame.done, "not done");
+		},
+
+		"stop": function () {
+			var options = {x: 0, velocityX: -1, friction: 0.99, minVelocity: 0.01},
+				frame = kinetic.computeFrame(options, 10000),
+				later = kinetic.computeFrame(options, 20000);
+			assert.isTrue(frame.done, "done");
+			assert.strictEqual(frame.velocityX, 0, "velocity");
+			assert.strictEqual(later.x, frame.x, "position does not change once stopped");
+			assert.closeTo(frame.x, (1 - 0.01) / Math.log(0.99), 1e-6, "stop position");
+		},
+
+		"bounds": function () {
+			var frame = kinetic.computeFrame({x: 90, y: 0, velocityX: 2, velocityY: 0.5, maxX: 100}, 100);
+			assert.strictEqual(frame.x, 100, "clamped to maxX");
+			assert.strictEqual(frame.velocityX, 0, "stopped on x");
+			assert.isTrue(frame.velocityY > 0, "still moving on y");
+			assert.isFalse(frame.done, "not done");
+			frame = kinetic.computeFrame({x: 0, velocityX: 1, minX: 0, maxX: 100}, 10);
+			assert.isTrue(frame.x > 0, "moves away from a bound");
+		},
+
+		"invalid friction": function () {
+			[0, 1, 1.5, -0.5, NaN].forEach(function (friction) {
+				assert.throws(function () {
+					kinetic.computeFrame({velocityX: 1, friction: friction}, 10);
+				}, RangeError, null, "friction " + friction);
+				assert.throws(function () {
+					kinetic.fling({velocityX: 1, friction: friction});
+				}, RangeError, null, "friction " + friction);
+			});
+		},
+
+		"invalid minVelocity and velocity": function () {
+			[0, -0.01, NaN, Infinity].forEach(function (minVelocity) {
+				assert.throws(function () {
+					kinetic.computeFrame({velocityX: 1, minVelocity: minVelocity}, 10);
+				}, RangeError, null, "minVelocity " + minVelocity);
+				assert.throws(function () {
+					kinetic.fling({velocityX: 1, minVelocity: minVelocity});
+				}, RangeError, null, "minVelocity " + minVelocity);
+			});
+			[NaN, Infinity, -Infinity].forEach(function (velocity) {
+				assert.throws(function () {
+					kinetic.computeFrame({velocityX: velocity}, 10);
+				}, RangeError, null, "velocityX " + velocity);
+				assert.throws(function () {
+					kinetic.fling({velocityY: velocity});
+				}, RangeError, null, "velocityY " + velocity);
+			});
+		},
+
+		"fling": function () {
+			var fling = kinetic.fling({velocityX: 1});
+			assert.isTrue(fling.isRunning(), "running");
+			fling.stop();
+			assert.isFalse(fling.isRunning(), "stopped");
+		}
+	});
+});